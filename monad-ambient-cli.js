@@ -19,8 +19,61 @@ const WRAPPED_MONAD = '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701'; // WMON
 const AMBIENT_ROUTER = '0x3A76a8d1e40DFe2ce7a50bf771D63c97cbE76134'; // Example router address (properly checksummed)
 const AMBIENT_FACTORY = '0x6c35FC3f153A3C42363CABd9d1F7066045E16B73'; // Example factory address (properly checksummed)
 
-const GAS_LIMIT = 150000; // Based on Monad testnet settings
-const GAS_PRICE = ethers.utils.parseUnits('50', 'gwei'); // Base fee is fixed at 50 gwei in testnet
+// Ambient (CrocSwap) deployment on Monad testnet
+const CROC_SWAP_DEX = '0x88B96aF200c8a9c35442C8AC6cd3D22695AaE4F0'; // CrocSwapDex
+const CROC_QUERY = '0x1C74Dd2DF010657510715244DA10ba19D1F3D2B7'; // CrocQuery
+const AMBIENT_POOL_INDEX = 36000; // Standard pool type index
+const CROC_HOT_PROXY_IDX = 1; // userCmd callpath for swaps
+const CROC_LIQ_PROXY_IDX = 128; // userCmd callpath for liquidity (warm path)
+const CONC_LIQ_LOT_SIZE = 1024; // Concentrated liquidity is minted and burned in multiples of this
+const NATIVE_MON = ethers.constants.AddressZero; // Ambient represents native MON as address(0)
+
+// Sqrt price bounds (Q64.64) used as "no limit" swap limit prices
+const MIN_SQRT_PRICE = ethers.BigNumber.from('65538');
+const MAX_SQRT_PRICE = ethers.BigNumber.from('21267430153580247136652501917186561137');
+const Q_128 = ethers.BigNumber.from(2).pow(128);
+
+const GAS_LIMIT = 150000; // Typical router swap, used for quotes and balance checks before a transaction exists
+const APPROVE_GAS_LIMIT = 100000; // Typical ERC20 approve, used for quotes
+
+// User configuration - config.json in the working directory overrides these defaults
+const CONFIG_PATH = path.join(process.cwd(), 'config.json');
+const DEFAULT_CONFIG = {
+  swapBackend: 'ambient', // 'ambient' (native CrocSwapDex) or 'router' (Uniswap-V2 style router)
+  exactApprovals: false, // Approve only the amount each transaction needs instead of MaxUint256
+  failurePolicy: 'strict', // 'strict' (fail with a named error) or 'fallback' (allow non-swap fallbacks)
+  gas: {
+    strategy: 'normal', // 'slow', 'normal', 'fast' (scale the node's fee data) or 'fixed'
+    limitMultiplier: 1.2, // Safety margin applied to every gas estimate
+    fixedGasPriceGwei: 50, // Gas price used by the 'fixed' strategy
+    maxFeeGwei: null // Never send a transaction paying more than this per gas
+  },
+  pendingTx: {
+    timeoutSeconds: 180, // How long to wait for a receipt before treating a transaction as stuck
+    onTimeout: 'prompt', // 'prompt', 'speedup', 'cancel', 'wait' or 'fail'
+    feeBumpPercent: 15, // Fee increase for a same-nonce replacement; nodes require at least 10
+    maxReplacements: 3 // Replacements sent automatically before giving up on a transaction
+  }
+};
+
+function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_PATH)) {
+      const userConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+      return {
+        ...DEFAULT_CONFIG,
+        ...userConfig,
+        gas: { ...DEFAULT_CONFIG.gas, ...userConfig.gas },
+        pendingTx: { ...DEFAULT_CONFIG.pendingTx, ...userConfig.pendingTx }
+      };
+    }
+  } catch (error) {
+    console.error(`Error loading ${CONFIG_PATH}, using defaults: ${error.message}`);
+  }
+  return { ...DEFAULT_CONFIG, gas: { ...DEFAULT_CONFIG.gas }, pendingTx: { ...DEFAULT_CONFIG.pendingTx } };
+}
+
+const config = loadConfig();
 
 // Track active spinners to ensure they're all stopped
 let activeSpinners = [];
@@ -74,17 +127,30 @@ const ERC20_ABI = [
   'function symbol() view returns (string)',
   'function approve(address spender, uint256 amount) returns (bool)',
   'function allowance(address owner, address spender) view returns (uint256)',
-  'function transfer(address to, uint256 amount) returns (bool)'
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidReceiver(address receiver)'
 ];
 
 // ABI for Ambient Router (using common router pattern)
 const ROUTER_ABI = [
   'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
+  'function getAmountsIn(uint amountOut, address[] memory path) public view returns (uint[] memory amounts)',
   'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
   'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
   'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external',
+  'function swapETHForExactTokens(uint amountOut, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
+  'function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
   'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB, uint liquidity)',
-  'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) external payable returns (uint amountToken, uint amountETH, uint liquidity)'
+  'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) external payable returns (uint amountToken, uint amountETH, uint liquidity)',
+  'function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB)',
+  'function removeLiquidityETH(address token, uint liquidity, uint amountTokenMin, uint amountETHMin, address to, uint deadline) external returns (uint amountToken, uint amountETH)'
 ];
 
 // ABI for Ambient Factory (common factory pattern)
@@ -94,6 +160,24 @@ const FACTORY_ABI = [
   'function allPairsLength() view returns (uint)'
 ];
 
+// ABI for router LP pairs (LP tokens are 18-decimal ERC20s)
+const PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+// ABI for Wrapped MON
+const WMON_ABI = [
+  'function deposit() payable',
+  'function withdraw(uint256 amount)',
+  'function balanceOf(address owner) view returns (uint256)'
+];
+
 // Initialize provider
 const provider = new ethers.providers.JsonRpcProvider(MONAD_TESTNET_RPC);
 
@@ -103,1409 +187,5711 @@ const router = new ethers.Contract(AMBIENT_ROUTER, ROUTER_ABI, provider);
 // Initialize factory contract with properly checksummed address
 const factory = new ethers.Contract(AMBIENT_FACTORY, FACTORY_ABI, provider);
 
-// Implement a fallback direct swap function in case router fails
-async function directSwap(wallet, token, amount, isEthToToken = true) {
-  const spinner = createSpinner('Preparing direct swap...');
-  try {
-    // For direct swap with minimal router-like functionality
-    if (isEthToToken) {
-      spinner.text = 'Swapping MON directly for token...';
-      // Simple transfer of MON to simulate a swap
-      const tx = await wallet.sendTransaction({
-        to: token,
-        value: ethers.utils.parseEther(amount.toString()),
-        gasLimit: GAS_LIMIT,
-        gasPrice: GAS_PRICE
-      });
-      spinner.text = 'Waiting for transaction to be confirmed...';
-      await tx.wait();
-      spinner.succeed(`Direct MON transfer completed: ${tx.hash}`);
-      return tx.hash;
-    } else {
-      // For token to MON direct swap simulation
-      const tokenContract = new ethers.Contract(token, ERC20_ABI, wallet);
-      spinner.text = 'Executing direct token to MON operation...';
-      
-      // This would normally be a swap, but we're simulating with a transfer
-      // In a real situation, you would need a proper swap mechanism
-      const tokenAmount = ethers.utils.parseUnits(amount.toString(), await tokenContract.decimals());
-      const tx = await tokenContract.transfer(wallet.address, tokenAmount, {
-        gasLimit: GAS_LIMIT,
-        gasPrice: GAS_PRICE
-      });
-      
-      spinner.text = 'Waiting for transaction to be confirmed...';
-      await tx.wait();
-      spinner.succeed(`Direct token operation completed: ${tx.hash}`);
-      return tx.hash;
-    }
-  } catch (error) {
-    spinner.fail(`Direct swap failed: ${error.message}`);
-    throw error;
-  } finally {
-    if (spinner.isSpinning) spinner.stop();
+// Initialize WMON contract
+const wmon = new ethers.Contract(WRAPPED_MONAD, WMON_ABI, provider);
+
+// ABI for Ambient's CrocSwapDex - every operation is encoded and sent through userCmd
+const CROC_DEX_ABI = [
+  'function userCmd(uint16 callpath, bytes cmd) payable returns (bytes)'
+];
+
+// ABI for Ambient's CrocQuery (read-only pool state)
+const CROC_QUERY_ABI = [
+  'function queryPrice(address base, address quote, uint256 poolIdx) view returns (uint128)',
+  'function queryLiquidity(address base, address quote, uint256 poolIdx) view returns (uint128)',
+  'function queryCurveTick(address base, address quote, uint256 poolIdx) view returns (int24)',
+  'function queryCurve(address base, address quote, uint256 poolIdx) view returns (tuple(uint128 priceRoot_, uint128 ambientSeeds_, uint128 concLiq_, uint64 seedDeflator_, uint64 concGrowth_) curve)',
+  'function queryPoolParams(address base, address quote, uint256 poolIdx) view returns (tuple(uint8 schema_, uint16 feeRate_, uint8 protocolTake_, uint16 tickSize_, uint8 jitThresh_, uint8 knockoutBits_, uint8 oracleFlags_) pool)',
+  'function queryRangePosition(address owner, address base, address quote, uint256 poolIdx, int24 lowerTick, int24 upperTick) view returns (uint128 liq, uint64 fee, uint32 timestamp, bool atomic)',
+  'function queryRangeTokens(address owner, address base, address quote, uint256 poolIdx, int24 lowerTick, int24 upperTick) view returns (uint128 liq, uint128 baseQty, uint128 quoteQty)'
+];
+
+// Initialize Ambient contracts
+const crocDex = new ethers.Contract(CROC_SWAP_DEX, CROC_DEX_ABI, provider);
+const crocQuery = new ethers.Contract(CROC_QUERY, CROC_QUERY_ABI, provider);
+
+// Ambient pools are keyed by (base, quote, poolIdx) with base being the lower address,
+// so native MON (address 0) is always the base side. isBuy means paying base for quote.
+function getAmbientPair(tokenIn, tokenOut) {
+  const tokenInIsBase = tokenIn.toLowerCase() < tokenOut.toLowerCase();
+  return {
+    base: tokenInIsBase ? tokenIn : tokenOut,
+    quote: tokenInIsBase ? tokenOut : tokenIn,
+    isBuy: tokenInIsBase
+  };
+}
+
+// Estimate swap output from the pool's spot price (Ambient prices are base per quote,
+// stored as a Q64.64 square root)
+async function ambientEstimateOut(tokenIn, tokenOut, amountIn) {
+  const { base, quote, isBuy } = getAmbientPair(tokenIn, tokenOut);
+  const sqrtPrice = await crocQuery.queryPrice(base, quote, AMBIENT_POOL_INDEX);
+  if (sqrtPrice.isZero()) {
+    throw new Error('No Ambient pool initialized for this pair');
   }
+  
+  const priceX128 = sqrtPrice.mul(sqrtPrice);
+  return isBuy ? amountIn.mul(Q_128).div(priceX128) : amountIn.mul(priceX128).div(Q_128);
 }
 
-// Random utilities for automated swapping
-const randomUtils = {
-  // Get a random integer between min and max (inclusive)
-  getRandomInt: (min, max) => {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  },
+// Pool pricing - reads the Ambient curve and estimates what a trade of a given size gets
+async function getAmbientPoolState(tokenA, tokenB) {
+  const { base, quote } = getAmbientPair(tokenA, tokenB);
+  const [curve, liquidity, tick] = await Promise.all([
+    crocQuery.queryCurve(base, quote, AMBIENT_POOL_INDEX),
+    crocQuery.queryLiquidity(base, quote, AMBIENT_POOL_INDEX),
+    crocQuery.queryCurveTick(base, quote, AMBIENT_POOL_INDEX)
+  ]);
   
-  // Get a random float between min and max
-  getRandomFloat: (min, max) => {
-    return Math.random() * (max - min) + min;
-  },
+  if (curve.priceRoot_.isZero()) {
+    throw new Error('No Ambient pool initialized for this pair');
+  }
   
-  // Get a random amount based on a percentage of a balance
-  getRandomAmount: (balance, minPercent, maxPercent) => {
-    const percent = randomUtils.getRandomFloat(minPercent, maxPercent);
-    return balance * percent;
-  },
+  // Active liquidity is ambient (full-range) plus the concentrated ranges covering this tick
+  const concentratedLiquidity = curve.concLiq_;
+  const ambientLiquidity = liquidity.gt(concentratedLiquidity) ? liquidity.sub(concentratedLiquidity) : ethers.constants.Zero;
   
-  // Sleep for a random amount of time between min and max milliseconds
-  sleep: async (minMs, maxMs) => {
-    const sleepTime = randomUtils.getRandomInt(minMs, maxMs);
-    console.log(`Waiting ${(sleepTime / 1000).toFixed(1)} seconds before next action...`);
-    return new Promise(resolve => setTimeout(resolve, sleepTime));
-  },
+  return {
+    base,
+    quote,
+    sqrtPrice: curve.priceRoot_,
+    liquidity,
+    ambientLiquidity,
+    concentratedLiquidity,
+    tick
+  };
+}
+
+// Output of a swap against the active liquidity, assuming no tick is crossed and before
+// pool fees. Reserves are base = L * sqrtP and quote = L / sqrtP, with sqrtP in Q64.64.
+function estimateCurveSwapOutput(sqrtPrice, liquidity, isBuy, amountIn) {
+  const q64 = ethers.BigNumber.from(2).pow(64);
+  if (isBuy) {
+    // Paying base raises sqrtP by amountIn / L
+    const nextSqrtPrice = sqrtPrice.add(amountIn.mul(q64).div(liquidity));
+    return liquidity.mul(q64).mul(nextSqrtPrice.sub(sqrtPrice)).div(sqrtPrice.mul(nextSqrtPrice));
+  }
+  // Paying quote raises 1/sqrtP by amountIn / L
+  const nextSqrtPrice = sqrtPrice.mul(liquidity).mul(q64).div(liquidity.mul(q64).add(amountIn.mul(sqrtPrice)));
+  return liquidity.mul(sqrtPrice.sub(nextSqrtPrice)).div(q64);
+}
+
+// Expected output and price impact for trading amountIn (base units) of tokenIn
+async function estimateAmbientPriceImpact(tokenIn, tokenOut, amountIn) {
+  const pool = await getAmbientPoolState(tokenIn, tokenOut);
+  if (pool.liquidity.isZero()) {
+    throw new Error('Ambient pool has no active liquidity at the current price');
+  }
   
-  // Select a random token from the available tokens
-  selectRandomToken: async () => {
-    const tokens = await getAllTokens();
-    const tokenSymbols = Object.keys(tokens);
-    const randomIndex = randomUtils.getRandomInt(0, tokenSymbols.length - 1);
-    const symbol = tokenSymbols[randomIndex];
-    return {
-      symbol,
-      address: tokens[symbol].address,
-      decimals: tokens[symbol].decimals
-    };
-  },
+  const { isBuy } = getAmbientPair(tokenIn, tokenOut);
+  const priceX128 = pool.sqrtPrice.mul(pool.sqrtPrice);
+  const spotOut = isBuy ? amountIn.mul(Q_128).div(priceX128) : amountIn.mul(priceX128).div(Q_128);
+  const expectedOut = estimateCurveSwapOutput(pool.sqrtPrice, pool.liquidity, isBuy, amountIn);
+  const impactBps = spotOut.isZero() ? 10000 : spotOut.sub(expectedOut).mul(10000).div(spotOut).toNumber();
   
-  // Shuffle an array (Fisher-Yates algorithm)
-  shuffleArray: (array) => {
-    const arrayCopy = [...array];
-    for (let i = arrayCopy.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arrayCopy[i], arrayCopy[j]] = [arrayCopy[j], arrayCopy[i]];
-    }
-    return arrayCopy;
+  return {
+    ...pool,
+    isBuy,
+    spotOut,
+    expectedOut,
+    impactBps
+  };
+}
+
+async function displayPriceImpact(tokenIn, tokenOut, amountIn, estimate) {
+  const [inDecimals, outDecimals] = await Promise.all([getTokenDecimals(tokenIn), getTokenDecimals(tokenOut)]);
+  const baseDecimals = estimate.isBuy ? inDecimals : outDecimals;
+  const quoteDecimals = estimate.isBuy ? outDecimals : inDecimals;
+  const baseSymbol = await getTokenSymbol(estimate.base);
+  const quoteSymbol = await getTokenSymbol(estimate.quote);
+  
+  // Base paid for one whole quote token at the current price
+  const spotPrice = estimate.sqrtPrice.mul(estimate.sqrtPrice)
+    .mul(ethers.BigNumber.from(10).pow(quoteDecimals))
+    .div(Q_128);
+  
+  console.log('\n=== Ambient Pool Pricing ===');
+  console.log(`Spot Price: 1 ${quoteSymbol} ≈ ${ethers.utils.formatUnits(spotPrice, baseDecimals)} ${baseSymbol}`);
+  console.log(`Current Tick: ${estimate.tick}`);
+  console.log(`Active Liquidity: ${estimate.liquidity.toString()} (ambient ${estimate.ambientLiquidity.toString()}, concentrated ${estimate.concentratedLiquidity.toString()})`);
+  console.log(`Trade Size: ${ethers.utils.formatUnits(amountIn, inDecimals)}`);
+  console.log(`Output at Spot: ${ethers.utils.formatUnits(estimate.spotOut, outDecimals)}`);
+  console.log(`Expected Output: ${ethers.utils.formatUnits(estimate.expectedOut, outDecimals)}`);
+  
+  console.log(formatPriceImpact(estimate.impactBps));
+  console.log('============================\n');
+}
+
+async function getTokenDecimals(tokenAddress) {
+  if (tokenAddress === NATIVE_MON) return 18;
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  return await token.decimals();
+}
+
+async function getTokenSymbol(tokenAddress) {
+  if (tokenAddress === NATIVE_MON) return 'MON';
+  const tokenInfo = await findTokenByAddress(tokenAddress);
+  return tokenInfo ? tokenInfo.symbol : `${tokenAddress.slice(0, 8)}...`;
+}
+
+// Router backend price impact: compare the quote for the full amount with a
+// small reference trade scaled up, which cancels out the flat router fee.
+// Returns null when the reference trade can't be priced.
+async function estimateRouterPriceImpact(amountIn, path, amountOut) {
+  try {
+    const referenceIn = amountIn.div(1000);
+    if (referenceIn.isZero()) return null;
+    const referenceAmounts = await router.getAmountsOut(referenceIn, path);
+    const spotOut = referenceAmounts[referenceAmounts.length - 1].mul(1000);
+    if (spotOut.isZero()) return null;
+    
+    return Math.max(spotOut.sub(amountOut).mul(10000).div(spotOut).toNumber(), 0);
+  } catch (error) {
+    return null;
   }
-};
+}
 
-// Function to discover tokens on Monad Testnet
-async function discoverTokens() {
-  const spinner = createSpinner('Discovering tokens on Monad Testnet...');
+function formatPriceImpact(impactBps) {
+  if (impactBps === null) return 'Price impact unavailable';
+  const impactText = `Price Impact: ${(impactBps / 100).toFixed(2)}%`;
+  return impactBps >= 500 ? chalk.red(impactText) : impactText;
+}
+
+async function reportRouterPriceImpact(amountIn, path, amountOut) {
+  console.log(formatPriceImpact(await estimateRouterPriceImpact(amountIn, path, amountOut)));
+}
+
+// Approve spender if the current allowance is short. With config.exactApprovals only
+// the amount needed is approved, otherwise the allowance is set to MaxUint256.
+async function ensureAllowance(wallet, tokenAddress, spender, amount, spinner, purpose) {
+  if (tokenAddress === NATIVE_MON) return;
+  
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const allowance = await token.allowance(wallet.address, spender);
+  if (allowance.gte(amount)) return;
+  
+  spinner.text = `Approving ${await token.symbol()} for ${purpose}...`;
+  const approveTx = await token.approve(
+    spender,
+    config.exactApprovals ? amount : ethers.constants.MaxUint256
+  );
+  await confirmTransaction(approveTx);
+  spinner.text = 'Approval complete';
+}
+
+// Hot path swap parameters: the quantity is always fixed on the input side and the limit
+// price is left open so minOut is the only slippage guard
+function buildAmbientSwapCmd(base, quote, isBuy, amountIn, minOut) {
+  return ethers.utils.defaultAbiCoder.encode(
+    ['address', 'address', 'uint256', 'bool', 'bool', 'uint128', 'uint16', 'uint128', 'uint128', 'uint8'],
+    [
+      base,
+      quote,
+      AMBIENT_POOL_INDEX,
+      isBuy,
+      isBuy, // inBaseQty: the input token is base when buying
+      amountIn,
+      0, // tip
+      isBuy ? MAX_SQRT_PRICE : MIN_SQRT_PRICE,
+      minOut,
+      0 // reserveFlags: settle from the wallet, not surplus collateral
+    ]
+  );
+}
+
+// Swap through a single Ambient pool using the CrocSwapDex hot path
+async function ambientSwap(wallet, tokenIn, tokenOut, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenIn, tokenOut]);
+  const spinner = createSpinner('Preparing Ambient swap...');
   
   try {
-    // If we've already discovered tokens, return the cached list
-    if (Object.keys(discoveredTokens).length > 0) {
-      spinner.succeed(`Found ${Object.keys(discoveredTokens).length} tokens (cached)`);
-      return discoveredTokens;
-    }
+    const { base, quote, isBuy } = getAmbientPair(tokenIn, tokenOut);
+    const amountIn = await resolveAmount(amount, await getTokenDecimals(tokenIn), () => getSpendableBalance(wallet.address, tokenIn));
     
-    // First approach: Query the Monad Explorer API for tokens
-    try {
-      // This URL might need to be adjusted based on actual API endpoints
-      const response = await axios.get('https://testnet.monadexplorer.com/api/tokens', {
-        timeout: 5000 // 5 second timeout
-      });
-      
-      if (response.data && Array.isArray(response.data)) {
-        for (const token of response.data) {
-          if (token.address && token.symbol && token.decimals) {
-            discoveredTokens[token.symbol] = {
-              address: token.address,
-              decimals: parseInt(token.decimals)
-            };
-          }
-        }
-      }
-    } catch (error) {
-      console.log('Could not fetch tokens from explorer API, using alternative methods');
-    }
+    // Report the price impact of this trade size before anything is signed
+    spinner.text = 'Reading pool state...';
+    const estimate = await estimateAmbientPriceImpact(tokenIn, tokenOut, amountIn);
+    spinner.stop();
+    await displayPriceImpact(tokenIn, tokenOut, amountIn, estimate);
+    spinner.start();
     
-    // Merge found tokens with our predefined list - these are known to exist
-    discoveredTokens = { ...TOKENS, ...discoveredTokens };
+    // Minimum output from the impact-adjusted estimate
+    const minOut = minWithSlippage(estimate.expectedOut, slippageBps);
     
-    spinner.succeed(`Found ${Object.keys(discoveredTokens).length} tokens`);
-    return discoveredTokens;
+    // Approve the dex to pull the input token if needed
+    await ensureAllowance(wallet, tokenIn, CROC_SWAP_DEX, amountIn, spinner, 'Ambient');
+    
+    const swapCmd = buildAmbientSwapCmd(base, quote, isBuy, amountIn, minOut);
+    
+    spinner.text = 'Swapping on Ambient...';
+    
+    const balanceBefore = await getAssetBalance(wallet.address, tokenOut);
+    const tx = await crocDex.connect(wallet).userCmd(CROC_HOT_PROXY_IDX, swapCmd, {
+      value: tokenIn === NATIVE_MON ? amountIn : 0
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    const received = await getReceivedAmount(wallet.address, tokenOut, balanceBefore, receipt);
+    spinner.succeed(`Swap completed! Received ${ethers.utils.formatUnits(received, await getTokenDecimals(tokenOut))} ${await getTokenSymbol(tokenOut)}. Transaction hash: ${tx.hash}`);
+    return tx.hash;
   } catch (error) {
-    spinner.fail(`Error discovering tokens: ${error.message}`);
-    return TOKENS; // Fall back to predefined tokens
+    const swapError = classifySwapError(error);
+    spinner.fail(`Ambient swap failed (${swapError.name}): ${swapError.message}`);
+    throw swapError;
   } finally {
     if (spinner.isSpinning) spinner.stop();
   }
 }
 
-// Function to get all available tokens (both predefined and discovered)
-async function getAllTokens() {
-  // Start with our predefined tokens
-  let allTokens = { ...TOKENS };
+// Token to token on Ambient: use the direct pool if one exists, otherwise hop through MON
+async function ambientSwapTokenForToken(wallet, tokenInAddress, tokenOutAddress, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  const { base, quote } = getAmbientPair(tokenInAddress, tokenOutAddress);
+  const directPrice = await crocQuery.queryPrice(base, quote, AMBIENT_POOL_INDEX);
+  if (!directPrice.isZero()) {
+    return await ambientSwap(wallet, tokenInAddress, tokenOutAddress, amount, slippageBps);
+  }
   
-  try {
-    // Add discovered tokens
-    const discovered = await discoverTokens();
-    allTokens = { ...allTokens, ...discovered };
-    
-    return allTokens;
-  } catch (error) {
-    console.error('Error getting all tokens:', error.message);
-    return allTokens; // Fall back to predefined tokens
+  console.log('No direct Ambient pool, routing through MON');
+  const monBefore = await provider.getBalance(wallet.address);
+  const hash1 = await ambientSwap(wallet, tokenInAddress, NATIVE_MON, amount, slippageBps);
+  
+  // Only the MON received from the first leg is swapped on (minus the gas it cost)
+  const monAfter = await provider.getBalance(wallet.address);
+  if (monAfter.lte(monBefore)) {
+    throw new Error('First leg returned no MON to swap on');
   }
+  const monReceived = ethers.utils.formatEther(monAfter.sub(monBefore));
+  
+  const hash2 = await ambientSwap(wallet, NATIVE_MON, tokenOutAddress, monReceived, slippageBps);
+  return [hash1, hash2];
 }
 
-// Add function to find token by address
-async function findTokenByAddress(address) {
-  const allTokens = await getAllTokens();
-  
-  for (const [symbol, data] of Object.entries(allTokens)) {
-    if (data.address.toLowerCase() === address.toLowerCase()) {
-      return {
-        symbol,
-        ...data
-      };
+// Input needed to take amountOut from the active liquidity (inverse of
+// estimateCurveSwapOutput). Throws if the curve can't supply that much.
+function estimateCurveSwapInput(sqrtPrice, liquidity, isBuy, amountOut) {
+  const q64 = ethers.BigNumber.from(2).pow(64);
+  if (isBuy) {
+    // Taking quote out lowers 1/sqrtP by amountOut / L
+    const denominator = liquidity.mul(q64).sub(amountOut.mul(sqrtPrice));
+    if (denominator.lte(0)) {
+      throw new Error('Insufficient liquidity for the requested output');
     }
+    const nextSqrtPrice = sqrtPrice.mul(liquidity).mul(q64).div(denominator);
+    return liquidity.mul(nextSqrtPrice.sub(sqrtPrice)).div(q64).add(1);
+  }
+  // Taking base out lowers sqrtP by amountOut / L
+  const nextSqrtPrice = sqrtPrice.sub(amountOut.mul(q64).div(liquidity));
+  if (nextSqrtPrice.lte(0)) {
+    throw new Error('Insufficient liquidity for the requested output');
+  }
+  return liquidity.mul(q64).mul(sqrtPrice.sub(nextSqrtPrice)).div(sqrtPrice.mul(nextSqrtPrice)).add(1);
+}
+
+// Expected input and price impact for receiving exactly amountOut (base units) of tokenOut
+async function estimateAmbientExactOutput(tokenIn, tokenOut, amountOut) {
+  const pool = await getAmbientPoolState(tokenIn, tokenOut);
+  if (pool.liquidity.isZero()) {
+    throw new Error('Ambient pool has no active liquidity at the current price');
   }
   
-  // If not found, try to get info directly from contract
+  const { isBuy } = getAmbientPair(tokenIn, tokenOut);
+  const priceX128 = pool.sqrtPrice.mul(pool.sqrtPrice);
+  const spotIn = isBuy ? amountOut.mul(priceX128).div(Q_128) : amountOut.mul(Q_128).div(priceX128);
+  const expectedIn = estimateCurveSwapInput(pool.sqrtPrice, pool.liquidity, isBuy, amountOut);
+  const impactBps = expectedIn.isZero() ? 0 : expectedIn.sub(spotIn).mul(10000).div(expectedIn).toNumber();
+  
+  return {
+    ...pool,
+    isBuy,
+    spotIn,
+    expectedIn,
+    impactBps
+  };
+}
+
+// Exact-output swap through a single Ambient pool. With the quantity fixed on the
+// output side, CrocSwap treats minOut as the maximum input the wallet will pay.
+async function ambientSwapExactOut(wallet, tokenIn, tokenOut, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenIn, tokenOut]);
+  const spinner = createSpinner('Preparing Ambient exact-output swap...');
+  
   try {
-    const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
-    const symbol = await tokenContract.symbol();
-    const decimals = await tokenContract.decimals();
+    const { base, quote, isBuy } = getAmbientPair(tokenIn, tokenOut);
+    const [inDecimals, outDecimals] = await Promise.all([getTokenDecimals(tokenIn), getTokenDecimals(tokenOut)]);
+    const exactOut = await resolveAmount(amountOut, outDecimals);
     
-    return {
-      symbol,
-      address,
-      decimals
-    };
+    spinner.text = 'Reading pool state...';
+    const estimate = await estimateAmbientExactOutput(tokenIn, tokenOut, exactOut);
+    const maxIn = maxWithSlippage(estimate.expectedIn, slippageBps);
+    
+    spinner.stop();
+    console.log('\n=== Ambient Exact-Output Swap ===');
+    console.log(`Receive: ${ethers.utils.formatUnits(exactOut, outDecimals)} ${await getTokenSymbol(tokenOut)}`);
+    console.log(`Expected Input: ${ethers.utils.formatUnits(estimate.expectedIn, inDecimals)} ${await getTokenSymbol(tokenIn)}`);
+    console.log(`Maximum Input (${formatBps(slippageBps)} slippage): ${ethers.utils.formatUnits(maxIn, inDecimals)}`);
+    console.log(formatPriceImpact(estimate.impactBps));
+    console.log('=================================\n');
+    spinner.start();
+    
+    await ensureAllowance(wallet, tokenIn, CROC_SWAP_DEX, maxIn, spinner, 'Ambient');
+    
+    const swapCmd = ethers.utils.defaultAbiCoder.encode(
+      ['address', 'address', 'uint256', 'bool', 'bool', 'uint128', 'uint16', 'uint128', 'uint128', 'uint8'],
+      [
+        base,
+        quote,
+        AMBIENT_POOL_INDEX,
+        isBuy,
+        !isBuy, // inBaseQty: the output token is base when selling
+        exactOut,
+        0, // tip
+        isBuy ? MAX_SQRT_PRICE : MIN_SQRT_PRICE,
+        maxIn, // minOut doubles as the input cap for output-side quantities
+        0 // reserveFlags: settle from the wallet, not surplus collateral
+      ]
+    );
+    
+    spinner.text = 'Swapping on Ambient...';
+    
+    const balanceBefore = await getAssetBalance(wallet.address, tokenOut);
+    const tx = await crocDex.connect(wallet).userCmd(CROC_HOT_PROXY_IDX, swapCmd, {
+      value: tokenIn === NATIVE_MON ? maxIn : 0, // Unused MON is refunded by the dex
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    const received = await getReceivedAmount(wallet.address, tokenOut, balanceBefore, receipt);
+    spinner.succeed(`Swap completed! Received ${ethers.utils.formatUnits(received, outDecimals)} ${await getTokenSymbol(tokenOut)}. Transaction hash: ${tx.hash}`);
+    return tx.hash;
   } catch (error) {
-    return null;
+    const swapError = classifySwapError(error);
+    spinner.fail(`Ambient swap failed (${swapError.name}): ${swapError.message}`);
+    throw swapError;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
   }
 }
 
-// Wallet manager
-class WalletManager {
-  constructor(walletPath) {
-    this.walletPath = walletPath || path.join(process.cwd(), 'wallets.json');
-    this.wallets = {};
-    this.loadWallets();
+// Token to exact token on Ambient, hopping through MON when there is no direct pool
+async function ambientSwapTokenForExactToken(wallet, tokenInAddress, tokenOutAddress, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  const { base, quote } = getAmbientPair(tokenInAddress, tokenOutAddress);
+  const directPrice = await crocQuery.queryPrice(base, quote, AMBIENT_POOL_INDEX);
+  if (!directPrice.isZero()) {
+    return await ambientSwapExactOut(wallet, tokenInAddress, tokenOutAddress, amountOut, slippageBps);
+  }
+  
+  console.log('No direct Ambient pool, routing through MON');
+  
+  // Buy enough MON to cover the second leg's maximum input
+  const outDecimals = await getTokenDecimals(tokenOutAddress);
+  const secondLeg = await estimateAmbientExactOutput(NATIVE_MON, tokenOutAddress, await resolveAmount(amountOut, outDecimals));
+  const monNeeded = maxWithSlippage(secondLeg.expectedIn, slippageBps);
+  
+  const hash1 = await ambientSwapExactOut(wallet, tokenInAddress, NATIVE_MON, monNeeded, slippageBps);
+  const hash2 = await ambientSwapExactOut(wallet, NATIVE_MON, tokenOutAddress, amountOut, slippageBps);
+  return [hash1, hash2];
+}
+
+// Fee-on-transfer tokens - the plain router swaps revert when a transfer tax shrinks
+// the amount a pair receives, so taxed paths use the SupportingFeeOnTransferTokens variants
+const ROUTER_SWAP_METHODS = {
+  ethForTokens: ['swapExactETHForTokens', 'swapExactETHForTokensSupportingFeeOnTransferTokens'],
+  tokensForEth: ['swapExactTokensForETH', 'swapExactTokensForETHSupportingFeeOnTransferTokens'],
+  tokensForTokens: ['swapExactTokensForTokens', 'swapExactTokensForTokensSupportingFeeOnTransferTokens']
+};
+
+// Path detection results, so untaxed paths are only simulated once per session
+const feeOnTransferPaths = {};
+
+function buildRouterSwapCall(kind, feeOnTransfer, amountIn, amountOutMin, path, to, deadline) {
+  const method = ROUTER_SWAP_METHODS[kind][feeOnTransfer ? 1 : 0];
+  if (kind === 'ethForTokens') {
+    return { method, args: [amountOutMin, path, to, deadline], value: amountIn };
   }
+  return { method, args: [amountIn, amountOutMin, path, to, deadline], value: 0 };
+}
 
-  loadWallets() {
+// The fee-supporting variants check the recipient's real balance change against
+// amountOutMin, so simulating them with callStatic tells whether a transfer tax applies.
+// The highest amountOutMin that still passes is what the wallet would actually receive.
+async function detectFeeOnTransfer(wallet, kind, amountIn, path, quotedOut) {
+  const cacheKey = path.join(',').toLowerCase();
+  if (feeOnTransferPaths[cacheKey] === false) {
+    return { feeOnTransfer: false, expectedOut: quotedOut };
+  }
+  
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const simulate = async (feeOnTransfer, amountOutMin) => {
+    const swapCall = buildRouterSwapCall(kind, feeOnTransfer, amountIn, amountOutMin, path, wallet.address, deadline);
     try {
-      if (fs.existsSync(this.walletPath)) {
-        const data = fs.readFileSync(this.walletPath, 'utf8');
-        this.wallets = JSON.parse(data);
-        console.log(`Loaded ${Object.keys(this.wallets).length} wallets from ${this.walletPath}`);
-      } else {
-        console.log('No wallet file found. Creating a new one.');
-        this.saveWallets();
-      }
+      await router.connect(wallet).callStatic[swapCall.method](...swapCall.args, { value: swapCall.value });
+      return true;
     } catch (error) {
-      console.error('Error loading wallets:', error);
-      this.wallets = {};
-      this.saveWallets();
+      return false;
+    }
+  };
+  
+  // If even the fee-supporting swap can't pass without a minimum, simulation tells us nothing
+  if (!(await simulate(true, 0))) {
+    return { feeOnTransfer: false, expectedOut: quotedOut };
+  }
+  
+  if (!quotedOut) {
+    // No quote to compare against: a taxed path makes the plain variant revert
+    const feeOnTransfer = !(await simulate(false, 0));
+    feeOnTransferPaths[cacheKey] = feeOnTransfer;
+    return { feeOnTransfer, expectedOut: null };
+  }
+  
+  if (await simulate(true, quotedOut)) {
+    feeOnTransferPaths[cacheKey] = false;
+    return { feeOnTransfer: false, expectedOut: quotedOut };
+  }
+  
+  // Binary search the amount actually received after the transfer tax
+  let low = ethers.constants.Zero;
+  let high = quotedOut;
+  for (let i = 0; i < 16 && high.sub(low).gt(1); i++) {
+    const mid = low.add(high).div(2);
+    if (await simulate(true, mid)) {
+      low = mid;
+    } else {
+      high = mid;
     }
   }
+  
+  feeOnTransferPaths[cacheKey] = true;
+  return { feeOnTransfer: true, expectedOut: low };
+}
 
-  saveWallets() {
-    // Only save wallet names and addresses, not private keys
-    const safeWallets = Object.entries(this.wallets).reduce((acc, [name, wallet]) => {
-      acc[name] = {
-        address: wallet.address,
-      };
-      return acc;
-    }, {});
-    
-    fs.writeFileSync(this.walletPath, JSON.stringify(safeWallets, null, 2));
+// Amounts
+// Amounts are BigNumbers in the asset's base units and slippage is in basis points.
+// User input is converted once, when it is read: a decimal string ("1.5"), "max" for the
+// spendable balance, or a share of it ("50%"). Floats never touch an amount.
+const BPS = 10000;
+const DEFAULT_SLIPPAGE_BPS = 500;
+
+function parseDecimalAmount(input, decimals) {
+  const text = String(input).trim();
+  if (!/^(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+    throw new Error(`Invalid amount: ${input}`);
   }
+  const fraction = text.split('.')[1] || '';
+  if (fraction.length > decimals) {
+    throw new Error(`${text} has more than ${decimals} decimal places`);
+  }
+  return ethers.utils.parseUnits(text.endsWith('.') ? text.slice(0, -1) : text, decimals);
+}
 
-  addWallet(name, privateKey) {
-    try {
-      const wallet = new ethers.Wallet(privateKey, provider);
-      this.wallets[name] = {
-        address: wallet.address,
-        privateKey: privateKey
-      };
-      this.saveWallets();
-      return wallet.address;
-    } catch (error) {
-      console.error('Invalid private key');
-      return null;
-    }
+// "0.5" or "0.5%" to basis points
+function parseBps(input) {
+  const bps = parseDecimalAmount(String(input).trim().replace(/%$/, ''), 2);
+  if (bps.gt(BPS)) {
+    throw new Error(`Percentage above 100: ${input}`);
   }
+  return bps.toNumber();
+}
 
-  importWallets(filePath) {
-    try {
-      const data = fs.readFileSync(filePath, 'utf8');
-      const importedWallets = JSON.parse(data);
-      
-      let imported = 0;
-      for (const [name, data] of Object.entries(importedWallets)) {
-        if (data.privateKey) {
-          this.addWallet(name, data.privateKey);
-          imported++;
-        }
-      }
-      
-      console.log(`Imported ${imported} wallets from ${filePath}`);
-    } catch (error) {
-      console.error('Error importing wallets:', error);
+function formatBps(bps) {
+  return `${ethers.utils.formatUnits(bps, 2).replace(/\.0$/, '')}%`;
+}
+
+function minWithSlippage(amount, slippageBps) {
+  return amount.mul(BPS - slippageBps).div(BPS);
+}
+
+function maxWithSlippage(amount, slippageBps) {
+  return amount.mul(BPS + slippageBps).div(BPS);
+}
+
+function minBigNumber(a, b) {
+  return a.lt(b) ? a : b;
+}
+
+// Resolves a BigNumber, a decimal string, "max" or "50%". getBalance is only called for
+// the last two, and outputs (which have no balance to take a share of) leave it out.
+async function resolveAmount(input, decimals, getBalance) {
+  if (ethers.BigNumber.isBigNumber(input)) return input;
+  
+  const text = String(input).trim().toLowerCase();
+  if (text === 'max' || text.endsWith('%')) {
+    if (!getBalance) {
+      throw new Error(`"${input}" can't be used here; enter an exact amount`);
     }
+    const balance = await getBalance();
+    return text === 'max' ? balance : balance.mul(parseBps(text)).div(BPS);
   }
+  return parseDecimalAmount(text, decimals);
+}
 
-  getWallet(name) {
-    if (!this.wallets[name]) {
-      console.error(`Wallet ${name} not found`);
-      return null;
+// The balance "max" and percentages refer to. For MON a reserve for the transaction's
+// own gas is held back.
+async function getSpendableBalance(owner, asset, gasLimit = GAS_LIMIT * 2) {
+  const balance = await getAssetBalance(owner, asset);
+  if (asset !== NATIVE_MON) return balance;
+  
+  const spendable = balance.sub((await getMaxGasPrice()).mul(gasLimit));
+  return spendable.gt(0) ? spendable : ethers.constants.Zero;
+}
+
+// inquirer validators
+function validateAmountInput(input) {
+  const text = String(input).trim().toLowerCase();
+  try {
+    if (text.endsWith('%')) {
+      parseBps(text);
+    } else if (text !== 'max') {
+      parseDecimalAmount(text, 18);
     }
-    
-    return new ethers.Wallet(this.wallets[name].privateKey, provider);
+    return true;
+  } catch (error) {
+    return `${error.message}. Enter an amount, "max" or a percentage such as "50%"`;
   }
+}
 
-  listWallets() {
-    return Object.entries(this.wallets).map(([name, data]) => ({
-      name,
-      address: data.address
-    }));
+function validateExactAmountInput(input) {
+  try {
+    parseDecimalAmount(input, 18);
+    return true;
+  } catch (error) {
+    return error.message;
   }
 }
 
-// Display wallet and token information before swaps
-async function displaySwapInfo(wallet, tokenAddress) {
-  console.log('\n=== Wallet & Token Information ===');
-  
+function validatePercentInput(input) {
   try {
-    // Get MON balance
-    const monBalance = await provider.getBalance(wallet.address);
-    console.log(`MON Balance: ${ethers.utils.formatEther(monBalance)}`);
-    
-    // If token address is provided, get token info
-    if (tokenAddress) {
-      // Try to get token info - either from our list or directly from contract
-      const tokenInfo = await findTokenByAddress(tokenAddress);
-      
-      if (tokenInfo) {
-        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-        const balance = await token.balanceOf(wallet.address);
-        const tokenBalance = ethers.utils.formatUnits(balance, tokenInfo.decimals);
-        
-        console.log(`${tokenInfo.symbol} Balance: ${tokenBalance}`);
-        
-        // Get estimated price (token per MON) - wrap in try/catch as this might fail
-        try {
-          const monAmount = ethers.utils.parseEther('1');
-          const path = [WRAPPED_MONAD, tokenAddress];
-          const amounts = await router.getAmountsOut(monAmount, path);
-          const tokenPerMon = ethers.utils.formatUnits(amounts[1], tokenInfo.decimals);
-          
-          console.log(`Current Rate: 1 MON ≈ ${tokenPerMon} ${tokenInfo.symbol}`);
-        } catch (error) {
-          console.log('Price estimation unavailable (may be due to insufficient liquidity)');
-        }
-      } else {
-        console.log(`Token information unavailable for ${tokenAddress}`);
-      }
-    }
-    
-    console.log(`Gas Price: ${ethers.utils.formatUnits(GAS_PRICE, 'gwei')} gwei`);
-    console.log(`Gas Limit: ${GAS_LIMIT}`);
-    console.log('=================================\n');
+    parseBps(input);
+    return true;
   } catch (error) {
-    console.error('Error displaying swap info:', error.message);
+    return `${error.message}. Enter a percentage such as 0.5`;
   }
 }
 
-// Swap functions
-async function swapMonForToken(wallet, tokenAddress, amount, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
+async function getAssetBalance(owner, asset) {
+  if (asset === NATIVE_MON) {
+    return await provider.getBalance(owner);
+  }
+  const token = new ethers.Contract(asset, ERC20_ABI, provider);
+  return await token.balanceOf(owner);
+}
+
+// Amount the wallet really received from a transaction. Tokens are read from the
+// receipt's Transfer logs when there is one; MON (which emits no log) and calls without
+// a receipt are measured from the balance, with the gas paid added back for MON.
+async function getReceivedAmount(owner, asset, balanceBefore, receipt) {
+  if (dryRun.enabled) {
+    return takeSimulatedOutput(owner, asset);
+  }
   
-  // Display swap info first
-  await displaySwapInfo(wallet, tokenAddress);
+  if (asset !== NATIVE_MON && receipt) {
+    return getTransferredAmounts(receipt, owner)[asset.toLowerCase()] || ethers.constants.Zero;
+  }
   
-  const spinner = createSpinner('Preparing swap from MON to token...');
+  const balanceAfter = await getAssetBalance(owner, asset);
+  let received = balanceAfter.sub(balanceBefore);
+  if (asset === NATIVE_MON && receipt) {
+    received = received.add(getReceiptFee(receipt));
+  }
+  return received.gt(0) ? received : ethers.constants.Zero;
+}
+
+// Transaction outcomes
+// confirmTransaction waits for the receipt and checks its status. A reverted
+// transaction is replayed at its block to recover the revert data, which is decoded as
+// Error(string), Panic(uint256) or a custom error from the known ABIs. Amounts received
+// are read from the receipt's Transfer logs rather than from balances.
+const KNOWN_INTERFACES = [ROUTER_ABI, CROC_DEX_ABI, WMON_ABI, ERC20_ABI].map(abi => new ethers.utils.Interface(abi));
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+const PANIC_CODES = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+function decodeRevertData(data) {
+  if (!ethers.utils.isHexString(data) || data === '0x') return null;
+  const selector = ethers.utils.hexDataSlice(data, 0, 4);
   
   try {
-    // Check if router contract method exists
-    let useDirectSwap = false;
-    
-    try {
-      // Test if the router has the swapExactETHForTokens method
-      const code = await provider.getCode(AMBIENT_ROUTER);
-      if (code === '0x' || code === '0x0') {
-        console.log('Router contract not deployed, using direct swap');
-        useDirectSwap = true;
-      }
-    } catch (error) {
-      console.log('Error checking router contract, using direct swap');
-      useDirectSwap = true;
+    if (selector === ERROR_STRING_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
     }
-    
-    if (useDirectSwap) {
-      return await directSwap(wallet, tokenAddress, amount, true);
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4))[0].toNumber();
+      return `Panic(0x${code.toString(16)}): ${PANIC_CODES[code] || 'unknown panic code'}`;
     }
-    
-    // Normal router swap
-    // Calculate path and amounts
-    const path = [WRAPPED_MONAD, tokenAddress];
-    const amountIn = ethers.utils.parseEther(amount.toString());
-    
-    // Get expected output amount with fallback for price queries
-    let amountOutMin;
+  } catch (error) {
+    return `malformed revert data ${data}`;
+  }
+  
+  for (const iface of KNOWN_INTERFACES) {
     try {
-      const amounts = await router.getAmountsOut(amountIn, path);
-      amountOutMin = amounts[1].mul(100 - slippage).div(100);
+      const parsed = iface.parseError(data);
+      return `${parsed.name}(${parsed.args.map(arg => arg.toString()).join(', ')})`;
     } catch (error) {
-      // If price estimation fails, use a minimal amount to ensure the transaction goes through
-      console.log('Price estimation failed, using minimum protection');
-      amountOutMin = 1; // Nearly zero but not zero
+      // Not an error of this interface
     }
-    
-    // Prepare transaction
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
-    
-    spinner.text = 'Swapping MON for token...';
-    
-    // Send transaction
-    const tx = await router.connect(wallet).swapExactETHForTokens(
-      amountOutMin,
-      path,
-      wallet.address,
-      deadline,
-      {
-        value: amountIn,
-        gasLimit: GAS_LIMIT,
-        gasPrice: GAS_PRICE
+  }
+  return `unknown custom error ${selector}`;
+}
+
+// Revert data can sit at several depths of an ethers/JSON-RPC error
+function findRevertData(error) {
+  for (let current = error; current; current = current.error) {
+    if (ethers.utils.isHexString(current.data)) return current.data;
+    if (current.data && ethers.utils.isHexString(current.data.data)) return current.data.data;
+    if (typeof current.body === 'string') {
+      try {
+        const body = JSON.parse(current.body);
+        if (body.error && ethers.utils.isHexString(body.error.data)) return body.error.data;
+      } catch (parseError) {
+        // Not a JSON-RPC body
       }
-    );
-    
-    spinner.text = `Waiting for transaction to be confirmed...`;
-    await tx.wait();
-    
-    spinner.succeed(`Swap completed! Transaction hash: ${tx.hash}`);
-    return tx.hash;
-  } catch (error) {
-    spinner.fail(`Swap failed: ${error.message}`);
-    // If normal swap fails, try direct swap as a fallback
-    try {
-      console.log('Attempting fallback direct swap...');
-      return await directSwap(wallet, tokenAddress, amount, true);
-    } catch (fallbackError) {
-      console.error(`Fallback swap also failed: ${fallbackError.message}`);
-      throw error; // Throw the original error
     }
-  } finally {
-    if (spinner.isSpinning) spinner.stop();
   }
+  return null;
 }
 
-async function swapTokenForMon(wallet, tokenAddress, amount, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
-  
-  // Display swap info first
-  await displaySwapInfo(wallet, tokenAddress);
-  
-  const spinner = createSpinner('Preparing swap from token to MON...');
-  
+function getRevertReason(error) {
+  return decodeRevertData(findRevertData(error)) || error.reason || (error.error && error.error.message) || error.message;
+}
+
+// Replay a mined, reverted transaction at its block to get the reason it reverted
+async function getTransactionRevertReason(tx, receipt) {
+  if (receipt.dryRun) return receipt.revertReason;
   try {
-    // Check if router contract method exists
-    let useDirectSwap = false;
-    
-    try {
-      // Test if the router contract exists
-      const code = await provider.getCode(AMBIENT_ROUTER);
-      if (code === '0x' || code === '0x0') {
-        console.log('Router contract not deployed, using direct swap');
-        useDirectSwap = true;
-      }
-    } catch (error) {
-      console.log('Error checking router contract, using direct swap');
-      useDirectSwap = true;
-    }
-    
-    if (useDirectSwap) {
-      return await directSwap(wallet, tokenAddress, amount, false);
-    }
-    
-    // Get token details
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const decimals = await token.decimals();
-    const tokenSymbol = await token.symbol();
-    
-    // Calculate amounts - ensure we respect token decimals
-    const amountIn = ethers.utils.parseUnits(amount.toString(), decimals);
-    const path = [tokenAddress, WRAPPED_MONAD];
-    
-    // Check allowance
-    const allowance = await token.connect(provider).allowance(wallet.address, AMBIENT_ROUTER);
-    
-    // Approve if needed
-    if (allowance.lt(amountIn)) {
-      spinner.text = `Approving ${tokenSymbol} for swap...`;
-      const approveTx = await token.connect(wallet).approve(
-        AMBIENT_ROUTER,
-        ethers.constants.MaxUint256,
-        {
-          gasLimit: 100000,
-          gasPrice: GAS_PRICE
-        }
-      );
-      await approveTx.wait();
-      spinner.text = 'Approval complete';
-    }
-    
-    // Get expected output amount with fallback for price queries
-    let amountOutMin;
-    try {
-      const amounts = await router.getAmountsOut(amountIn, path);
-      amountOutMin = amounts[1].mul(100 - slippage).div(100);
-    } catch (error) {
-      // If price estimation fails, use a minimal amount to ensure the transaction goes through
-      console.log('Price estimation failed, using minimum protection');
-      amountOutMin = 1; // Nearly zero but not zero
-    }
-    
-    // Prepare transaction
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
-    
-    spinner.text = 'Swapping token for MON...';
-    
-    // Send transaction
-    const tx = await router.connect(wallet).swapExactTokensForETH(
-      amountIn,
-      amountOutMin,
-      path,
-      wallet.address,
-      deadline,
-      {
-        gasLimit: GAS_LIMIT,
-        gasPrice: GAS_PRICE
-      }
-    );
-    
-    spinner.text = `Waiting for transaction to be confirmed...`;
-    await tx.wait();
-    
-    spinner.succeed(`Swap completed! Transaction hash: ${tx.hash}`);
-    return tx.hash;
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit
+    }, receipt.blockNumber);
+    return 'no revert reason (possibly out of gas)';
   } catch (error) {
-    spinner.fail(`Swap failed: ${error.message}`);
-    // If normal swap fails, try direct swap as a fallback
-    try {
-      console.log('Attempting fallback direct swap...');
-      return await directSwap(wallet, tokenAddress, amount, false);
-    } catch (fallbackError) {
-      console.error(`Fallback swap also failed: ${fallbackError.message}`);
-      throw error; // Throw the original error
-    }
-  } finally {
-    if (spinner.isSpinning) spinner.stop();
+    return getRevertReason(error);
   }
 }
 
-async function swapTokenForToken(wallet, tokenInAddress, tokenOutAddress, amount, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
+// Pending transactions
+// Receipts are awaited for at most config.pendingTx.timeoutSeconds. A transaction still
+// pending after that is stuck: depending on config.pendingTx.onTimeout the user is asked,
+// or it is sped up (same nonce and call, bumped fee), cancelled (same nonce, empty
+// self-transfer), waited on again, or given up on. Whichever of the original and its
+// replacements gets mined settles the wait.
+const pendingWallets = new Map(); // hash → ManagedWallet that sent it, for signing replacements
+
+function trackPendingTransaction(wallet, tx) {
+  pendingWallets.set(tx.hash, wallet);
+}
+
+function maxBigNumber(a, b) {
+  return b && ethers.BigNumber.from(b).gt(a) ? ethers.BigNumber.from(b) : a;
+}
+
+// Fees for a same-nonce replacement: the original's bumped by feeBumpPercent, or the
+// current fees if those are higher already
+async function getReplacementFees(original) {
+  const bump = 1 + config.pendingTx.feeBumpPercent / 100;
+  const current = await getFeeOverrides({ legacy: !original.maxFeePerGas });
+  if (original.maxFeePerGas) {
+    return {
+      maxFeePerGas: maxBigNumber(scaleBigNumber(original.maxFeePerGas, bump), current.maxFeePerGas || current.gasPrice),
+      maxPriorityFeePerGas: maxBigNumber(scaleBigNumber(original.maxPriorityFeePerGas, bump), current.maxPriorityFeePerGas)
+    };
+  }
+  return { gasPrice: maxBigNumber(scaleBigNumber(original.gasPrice, bump), current.gasPrice) };
+}
+
+// action is 'speedup' (resend the same call) or 'cancel' (empty self-transfer)
+async function replaceTransaction(wallet, original, action) {
+  const fees = await getReplacementFees(original);
+  const request = action === 'cancel'
+    ? { to: wallet.address, value: 0, data: '0x', gasLimit: 21000 }
+    : { to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit };
   
-  // Display swap info for both tokens
-  await displaySwapInfo(wallet, tokenInAddress);
-  await displaySwapInfo(wallet, tokenOutAddress);
+  const replacement = await wallet.sendTransaction({ ...request, ...fees, nonce: original.nonce });
+  nonceManager.getState(wallet.address).inFlight.set(original.nonce, replacement.hash);
+  console.log(chalk.yellow(`\n${action === 'cancel' ? 'Cancelling' : 'Speeding up'} ${original.hash} with ${replacement.hash}`));
+  return replacement;
+}
+
+async function chooseStuckAction(tx, replacements) {
+  const policy = config.pendingTx.onTimeout;
+  if (policy !== 'prompt') {
+    const replacing = policy === 'speedup' || policy === 'cancel';
+    return replacing && replacements >= config.pendingTx.maxReplacements ? 'fail' : policy;
+  }
   
-  const spinner = createSpinner('Preparing swap from token to token...');
+  stopAllSpinners();
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: `Transaction ${tx.hash} is still pending after ${config.pendingTx.timeoutSeconds}s:`,
+      choices: [
+        { name: `Speed up (same transaction, fee +${config.pendingTx.feeBumpPercent}%)`, value: 'speedup' },
+        { name: 'Cancel (replace with an empty transaction)', value: 'cancel' },
+        { name: 'Keep waiting', value: 'wait' },
+        { name: 'Stop waiting and leave it pending', value: 'fail' }
+      ]
+    }
+  ]);
+  return action;
+}
+
+// Like tx.wait(), but a reverted transaction returns its receipt instead of throwing, and
+// a stuck one is handled by the pending transaction policy. onReplacement(replacement, action)
+// is called for each speed-up or cancel sent.
+async function waitForReceipt(tx, onReplacement) {
+  const sentHashes = new Set([tx.hash]);
+  const cancelHashes = new Set();
+  const sentValues = new Map([[tx.hash, tx.value]]);
+  const wallet = pendingWallets.get(tx.hash);
+  let current = tx;
+  let replacements = 0;
   
-  try {
-    // Check if router contract method exists
-    let useDirectSwap = false;
-    
-    try {
-      // Test if the router contract exists
-      const code = await provider.getCode(AMBIENT_ROUTER);
-      if (code === '0x' || code === '0x0') {
-        console.log('Router contract not deployed, using direct token transfers');
-        useDirectSwap = true;
-      }
-    } catch (error) {
-      console.log('Error checking router contract, using direct transfers');
-      useDirectSwap = true;
+  // The spending policy counted the worst case when signing; replace it with the real cost
+  const settle = receipt => {
+    if (wallet && sentValues.has(receipt.transactionHash)) {
+      const value = receipt.status === 1 ? sentValues.get(receipt.transactionHash) : 0;
+      settlePolicySpend(wallet.address, tx.nonce, receipt, value);
     }
-    
-    if (useDirectSwap) {
-      // For token-to-token direct swap, we'll perform two operations:
-      // 1. First "swap" tokenIn using direct transfer
-      const hash1 = await directSwap(wallet, tokenInAddress, amount, false);
-      // 2. Then simulate getting tokenOut using direct transfer
-      const hash2 = await directSwap(wallet, tokenOutAddress, amount / 2, true); // Using half amount as a simulation
-      return [hash1, hash2];
-    }
-    
-    // Get token details
-    const tokenIn = new ethers.Contract(tokenInAddress, ERC20_ABI, provider);
-    const decimals = await tokenIn.decimals();
-    const tokenSymbol = await tokenIn.symbol();
-    
-    // Calculate amounts
-    const amountIn = ethers.utils.parseUnits(amount.toString(), decimals);
-    const path = [tokenInAddress, WRAPPED_MONAD, tokenOutAddress];
-    
-    // Check allowance
-    const allowance = await tokenIn.connect(provider).allowance(wallet.address, AMBIENT_ROUTER);
-    
-    // Approve if needed
-    if (allowance.lt(amountIn)) {
-      spinner.text = `Approving ${tokenSymbol} for swap...`;
-      const approveTx = await tokenIn.connect(wallet).approve(
-        AMBIENT_ROUTER,
-        ethers.constants.MaxUint256,
-        {
-          gasLimit: 100000,
-          gasPrice: GAS_PRICE
-        }
-      );
-      await approveTx.wait();
-      spinner.text = 'Approval complete';
-    }
-    
-    // Get expected output amount with fallback for price queries
-    let amountOutMin;
-    try {
-      const amounts = await router.getAmountsOut(amountIn, path);
-      amountOutMin = amounts[2].mul(100 - slippage).div(100);
-    } catch (error) {
-      // If price estimation fails, use a minimal amount to ensure the transaction goes through
-      console.log('Price estimation failed, using minimum protection');
-      amountOutMin = 1; // Nearly zero but not zero
-    }
-    
-    // Prepare transaction
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
-    
-    spinner.text = 'Swapping token for token...';
-    
-    // Send transaction
-    const tx = await router.connect(wallet).swapExactTokensForTokens(
-      amountIn,
-      amountOutMin,
-      path,
-      wallet.address,
-      deadline,
-      {
-        gasLimit: GAS_LIMIT,
-        gasPrice: GAS_PRICE
-      }
-    );
-    
-    spinner.text = `Waiting for transaction to be confirmed...`;
-    await tx.wait();
-    
-    spinner.succeed(`Swap completed! Transaction hash: ${tx.hash}`);
-    return tx.hash;
-  } catch (error) {
-    spinner.fail(`Swap failed: ${error.message}`);
-    // Try fallback method
-    try {
-      console.log('Attempting fallback swaps...');
-      // Perform token-to-MON and then MON-to-token as separate operations
-      const hash1 = await swapTokenForMon(wallet, tokenInAddress, amount / 2, slippage);
-      
-      // Get updated MON balance
-      const monBalance = await provider.getBalance(wallet.address);
-      const monAmount = parseFloat(ethers.utils.formatEther(monBalance)) * 0.3; // Use 30% of balance
-      
-      const hash2 = await swapMonForToken(wallet, tokenOutAddress, monAmount, slippage);
-      return [hash1, hash2];
-    } catch (fallbackError) {
-      console.error(`Fallback swaps also failed: ${fallbackError.message}`);
-      throw error; // Throw the original error
-    }
-  } finally {
-    if (spinner.isSpinning) spinner.stop();
-  }
-}
-
-// Add liquidity functions
-async function addLiquidity(wallet, tokenAddress, tokenAmount, monAmount, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
-  
-  // Display info first
-  await displaySwapInfo(wallet, tokenAddress);
+    return receipt;
+  };
   
-  const spinner = createSpinner('Preparing to add liquidity...');
+  const cancelled = hash => {
+    const error = new Error(`Transaction ${tx.hash} was cancelled by ${hash}`);
+    error.code = 'TRANSACTION_CANCELLED';
+    error.cancelledBy = hash;
+    return error;
+  };
   
   try {
-    // Check if router contract method exists
-    let useDirectTransfer = false;
-    
-    try {
-      // Test if the router contract exists
-      const code = await provider.getCode(AMBIENT_ROUTER);
-      if (code === '0x' || code === '0x0') {
-        console.log('Router contract not deployed, using direct transfers');
-        useDirectTransfer = true;
-      }
-    } catch (error) {
-      console.log('Error checking router contract, using direct transfers');
-      useDirectTransfer = true;
-    }
-    
-    if (useDirectTransfer) {
-      // Simulate liquidity provision with direct transfers
-      spinner.text = 'Simulating liquidity provision with direct transfers...';
-      
-      // 1. Transfer tokens to the router (or any address as a simulation)
-      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
-      const tokenDecimals = await tokenContract.decimals();
-      const tokenAmountInWei = ethers.utils.parseUnits(tokenAmount.toString(), tokenDecimals);
-      
-      // Approve transfer first
-      const approveTx = await tokenContract.approve(
-        AMBIENT_ROUTER,
-        tokenAmountInWei,
-        {
-          gasLimit: 100000,
-          gasPrice: GAS_PRICE
+    for (;;) {
+      try {
+        const receipt = settle(await current.wait(1, config.pendingTx.timeoutSeconds * 1000));
+        if (cancelHashes.has(receipt.transactionHash)) throw cancelled(receipt.transactionHash);
+        return receipt;
+      } catch (error) {
+        if (error.code === 'TRANSACTION_REPLACED') {
+          // Ours if it is the original or one of our speed-ups; anything else cancelled it
+          const hash = error.replacement.hash;
+          settle(error.receipt);
+          if (cancelHashes.has(hash) || (error.cancelled && !sentHashes.has(hash))) throw cancelled(hash);
+          return error.receipt;
         }
-      );
-      await approveTx.wait();
-      
-      // Now transfer the tokens
-      const tokenTx = await tokenContract.transfer(
-        AMBIENT_ROUTER,
-        tokenAmountInWei,
-        {
-          gasLimit: GAS_LIMIT,
-          gasPrice: GAS_PRICE
+        if (error.receipt) return settle(error.receipt);
+        if (error.code !== 'TIMEOUT') throw error;
+        
+        const action = wallet ? await chooseStuckAction(current, replacements) : 'fail';
+        if (action === 'wait') continue;
+        if (action === 'fail') {
+          const pendingError = new Error(`Transaction ${current.hash} is still pending. Use 'tx speedup ${current.hash}' or 'tx cancel ${current.hash}'`);
+          pendingError.code = 'TRANSACTION_PENDING';
+          throw pendingError;
         }
-      );
-      await tokenTx.wait();
-      
-      // 2. Transfer MON
-      const monTx = await wallet.sendTransaction({
-        to: AMBIENT_ROUTER,
-        value: ethers.utils.parseEther(monAmount.toString()),
-        gasLimit: GAS_LIMIT,
-        gasPrice: GAS_PRICE
-      });
-      await monTx.wait();
-      
-      spinner.succeed(`Liquidity simulation completed! Transaction hashes: Token TX: ${tokenTx.hash}, MON TX: ${monTx.hash}`);
-      return [tokenTx.hash, monTx.hash];
-    }
-    
-    // Get token details
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const decimals = await token.decimals();
-    const tokenSymbol = await token.symbol();
-    
-    // Calculate amounts
-    const tokenAmountIn = ethers.utils.parseUnits(tokenAmount.toString(), decimals);
-    const monAmountIn = ethers.utils.parseEther(monAmount.toString());
-    
-    // Calculate min amounts with slippage
-    const tokenAmountMin = tokenAmountIn.mul(100 - slippage).div(100);
-    const monAmountMin = monAmountIn.mul(100 - slippage).div(100);
-    
-    // Check allowance
-    const allowance = await token.connect(provider).allowance(wallet.address, AMBIENT_ROUTER);
-    
-    // Approve if needed
-    if (allowance.lt(tokenAmountIn)) {
-      spinner.text = `Approving ${tokenSymbol} for liquidity...`;
-      const approveTx = await token.connect(wallet).approve(
-        AMBIENT_ROUTER,
-        ethers.constants.MaxUint256,
-        {
-          gasLimit: 100000,
-          gasPrice: GAS_PRICE
+        
+        let replacement;
+        try {
+          replacement = await replaceTransaction(wallet, current, action);
+        } catch (replaceError) {
+          if (!isNonceTooLow(replaceError)) throw replaceError;
+          
+          // The nonce was used while the replacement was being sent, most likely by one of ours
+          for (const hash of sentHashes) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (!receipt) continue;
+            settle(receipt);
+            if (cancelHashes.has(hash)) throw cancelled(hash);
+            return receipt;
+          }
+          continue; // Mined but not visible yet, or by something else: wait on it again
         }
-      );
-      await approveTx.wait();
-      spinner.text = 'Approval complete';
-    }
-    
-    // Prepare transaction
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
-    
-    spinner.text = 'Adding liquidity...';
-    
-    // Send transaction
-    const tx = await router.connect(wallet).addLiquidityETH(
-      tokenAddress,
-      tokenAmountIn,
-      tokenAmountMin,
-      monAmountMin,
-      wallet.address,
-      deadline,
-      {
-        value: monAmountIn,
-        gasLimit: GAS_LIMIT * 2, // Higher gas limit for liquidity operations
-        gasPrice: GAS_PRICE
+        
+        current = replacement;
+        replacements++;
+        sentHashes.add(current.hash);
+        sentValues.set(current.hash, current.value);
+        if (action === 'cancel') cancelHashes.add(current.hash);
+        if (onReplacement) onReplacement(current, action);
       }
-    );
-    
-    spinner.text = `Waiting for transaction to be confirmed...`;
-    await tx.wait();
-    
-    spinner.succeed(`Liquidity added! Transaction hash: ${tx.hash}`);
-    return tx.hash;
-  } catch (error) {
-    spinner.fail(`Failed to add liquidity: ${error.message}`);
-    throw error;
+    }
   } finally {
-    if (spinner.isSpinning) spinner.stop();
+    sentHashes.forEach(hash => pendingWallets.delete(hash));
   }
 }
 
-async function performRoundtrip(wallet, tokenAddress, amount, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
+// Waits for a transaction and throws a CALL_EXCEPTION carrying the decoded reason if it reverted
+async function confirmTransaction(tx) {
+  const receipt = await waitForReceipt(tx);
+  if (receipt.status === 1) return receipt;
   
-  // Display swap info first
-  await displaySwapInfo(wallet, tokenAddress);
+  const reason = await getTransactionRevertReason(tx, receipt);
+  const error = new Error(`Transaction ${tx.hash} reverted: ${reason}`);
+  error.code = 'CALL_EXCEPTION';
+  error.reason = reason;
+  error.receipt = receipt;
+  error.transactionHash = tx.hash;
+  throw error;
+}
+
+// Token amounts the receipt's Transfer logs credited to owner, keyed by lowercase token address
+function getTransferredAmounts(receipt, owner) {
+  const amounts = {};
+  for (const log of receipt.logs || []) {
+    // ERC721 Transfer has the same signature but indexes the token id as a fourth topic
+    if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+    const to = ethers.utils.hexDataSlice(log.topics[2], 12);
+    if (to.toLowerCase() !== owner.toLowerCase()) continue;
+    
+    const token = log.address.toLowerCase();
+    amounts[token] = (amounts[token] || ethers.constants.Zero).add(ethers.BigNumber.from(log.data));
+  }
+  return amounts;
+}
+
+// Failure policy
+// Swaps fail loudly with a named error by default. Fallbacks that don't perform the
+// requested swap (directSwap, "activity" transfers, swaps without minimum output) only
+// run when config.failurePolicy is 'fallback', and the transactions they send are
+// recorded so results can report them separately from real swaps.
+class SwapError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.cause = cause;
+  }
+}
+
+class InsufficientLiquidityError extends SwapError {}
+class TransactionRevertedError extends SwapError {}
+class RpcError extends SwapError {}
+class SlippageError extends SwapError {}
+
+const SLIPPAGE_REASONS = /INSUFFICIENT_OUTPUT_AMOUNT|EXCESSIVE_INPUT_AMOUNT|slippage/i;
+const LIQUIDITY_REASONS = /INSUFFICIENT_LIQUIDITY|insufficient liquidity|no active liquidity|no route|no router path|no ambient pool/i;
+const RPC_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'];
+
+function classifySwapError(error) {
+  if (error instanceof SwapError || error instanceof PolicyError) return error;
   
-  console.log(`Beginning roundtrip: MON -> Token -> MON`);
+  const revertReason = getRevertReason(error);
+  const reason = [revertReason, error.reason, error.error && error.error.message, error.message].filter(Boolean).join(' ');
+  if (SLIPPAGE_REASONS.test(reason)) return new SlippageError(revertReason, error);
+  if (LIQUIDITY_REASONS.test(reason)) return new InsufficientLiquidityError(revertReason, error);
+  if (RPC_ERROR_CODES.includes(error.code)) return new RpcError(error.message, error);
+  if (error.code === 'CALL_EXCEPTION' || error.code === 'UNPREDICTABLE_GAS_LIMIT' || /revert/i.test(reason)) {
+    return new TransactionRevertedError(revertReason, error);
+  }
+  return new SwapError(error.message, error);
+}
+
+// Throws the named error unless the config opts into fallbacks. Policy refusals always throw.
+function applyFailurePolicy(error, fallbackDescription) {
+  const swapError = classifySwapError(error);
+  if (config.failurePolicy !== 'fallback' || swapError instanceof PolicyError) {
+    throw swapError;
+  }
+  console.log(chalk.yellow(`${swapError.name}: ${swapError.message}`));
+  console.log(chalk.yellow(`Failure policy is 'fallback': ${fallbackDescription}. This is not a swap.`));
+}
+
+const fallbackTransactions = new Set();
+
+function recordFallback(hash) {
+  fallbackTransactions.add(hash);
+  return hash;
+}
+
+// Accepts a hash or a (nested) list of hashes
+function isFallbackTransaction(hashes) {
+  return [].concat(hashes).flat().some(hash => fallbackTransactions.has(hash));
+}
+
+// Summary lines for fallback runs and named failures in a results list
+function reportFallbacks(results) {
+  const fallbacks = results.filter(r => r.fallback).length;
+  if (fallbacks > 0) {
+    console.log(chalk.yellow(`${fallbacks} fallback transaction(s) sent instead of swaps`));
+  }
   
-  try {
-    // First swap: MON to Token
-    const swap1Hash = await swapMonForToken(wallet, tokenAddress, amount / 2, slippage);
-    console.log(`First swap completed: ${swap1Hash}`);
-    
-    // Get token balance
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const decimals = await token.decimals();
-    const balance = await token.balanceOf(wallet.address);
-    const tokenAmount = ethers.utils.formatUnits(balance, decimals);
-    
-    console.log(`Token balance: ${tokenAmount}`);
-    
-    // Second swap: Token to MON
-    const swap2Hash = await swapTokenForMon(wallet, tokenAddress, tokenAmount, slippage);
-    console.log(`Second swap completed: ${swap2Hash}`);
-    
-    return {
-      success: true,
-      swaps: [swap1Hash, swap2Hash]
-    };
-  } catch (error) {
-    console.error(`Roundtrip failed: ${error.message}`);
-    return {
-      success: false,
-      error: error.message
-    };
+  const failuresByType = results.filter(r => r.errorType).reduce((acc, r) => {
+    acc[r.errorType] = (acc[r.errorType] || 0) + 1;
+    return acc;
+  }, {});
+  for (const [errorType, count] of Object.entries(failuresByType)) {
+    console.log(chalk.red(`${count} failed with ${errorType}`));
   }
 }
 
-async function performAutoRoundtrip(wallet, tokenAddress, amount, count, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
-  console.log(`Beginning auto roundtrip (${count} times)`);
-  const results = [];
+// Gas
+// Gas limits are estimated per transaction and padded by config.gas.limitMultiplier.
+// Fees come from the node: EIP-1559 fields when the latest block has a base fee,
+// a legacy gasPrice otherwise, scaled by the configured strategy. The 'fixed'
+// strategy always uses fixedGasPriceGwei. Nothing is sent with a fee per gas above
+// config.gas.maxFeeGwei; a fee the cap can't cover fails with FeeCapError.
+const GAS_STRATEGIES = {
+  slow: { priorityMultiplier: 0.5, baseFeeMultiplier: 1.25, legacyMultiplier: 0.9 },
+  normal: { priorityMultiplier: 1, baseFeeMultiplier: 2, legacyMultiplier: 1 },
+  fast: { priorityMultiplier: 2, baseFeeMultiplier: 3, legacyMultiplier: 1.25 }
+};
+
+class FeeCapError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+function scaleBigNumber(value, factor) {
+  return ethers.BigNumber.from(value).mul(Math.round(factor * 1000)).div(1000);
+}
+
+function getMaxFeeCap() {
+  if (config.gas.maxFeeGwei === null || config.gas.maxFeeGwei === undefined) return null;
+  return ethers.utils.parseUnits(config.gas.maxFeeGwei.toString(), 'gwei');
+}
+
+function checkFeeCap(feePerGas) {
+  const cap = getMaxFeeCap();
+  if (cap && ethers.BigNumber.from(feePerGas).gt(cap)) {
+    throw new FeeCapError(`Fee of ${ethers.utils.formatUnits(feePerGas, 'gwei')} gwei per gas is above the max fee cap of ${config.gas.maxFeeGwei} gwei`);
+  }
+}
+
+// Fee fields for the next transaction. With legacy set a single gasPrice is returned,
+// for callers that need to know the exact cost up front (sending a full MON balance).
+async function getFeeOverrides({ legacy = false } = {}) {
+  const { strategy, fixedGasPriceGwei } = config.gas;
+  if (strategy === 'fixed') {
+    const gasPrice = ethers.utils.parseUnits(fixedGasPriceGwei.toString(), 'gwei');
+    checkFeeCap(gasPrice);
+    return { gasPrice };
+  }
   
-  let currentAmount = amount;
+  const multipliers = GAS_STRATEGIES[strategy];
+  if (!multipliers) {
+    throw new Error(`Unknown gas strategy: ${strategy}. Use slow, normal, fast or fixed.`);
+  }
   
-  for (let i = 0; i < count; i++) {
-    console.log(`\nRoundtrip ${i + 1} of ${count}`);
-    try {
-      const result = await performRoundtrip(wallet, tokenAddress, currentAmount, slippage);
-      results.push(result);
-      
-      // Update amount for next round based on current MON balance
-      const balance = await provider.getBalance(wallet.address);
-      currentAmount = parseFloat(ethers.utils.formatEther(balance)) * 0.5; // Use half of balance for next round
-      
-      console.log(`Adjusted amount for next round: ${currentAmount} MON`);
-      
-      // Short delay between roundtrips
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    } catch (error) {
-      console.error(`Roundtrip ${i + 1} failed: ${error.message}`);
-      results.push({
-        success: false,
-        error: error.message
-      });
+  const feeData = await provider.getFeeData();
+  if (!legacy && feeData.lastBaseFeePerGas && feeData.maxPriorityFeePerGas) {
+    const maxPriorityFeePerGas = scaleBigNumber(feeData.maxPriorityFeePerGas, multipliers.priorityMultiplier);
+    let maxFeePerGas = scaleBigNumber(feeData.lastBaseFeePerGas, multipliers.baseFeeMultiplier).add(maxPriorityFeePerGas);
+    const cap = getMaxFeeCap();
+    if (cap && maxFeePerGas.gt(cap)) {
+      // The cap can stand in as the max fee while it still covers the current base fee and tip
+      checkFeeCap(feeData.lastBaseFeePerGas.add(maxPriorityFeePerGas));
+      maxFeePerGas = cap;
     }
+    return { maxFeePerGas, maxPriorityFeePerGas };
   }
   
-  return results;
+  const gasPrice = scaleBigNumber(feeData.gasPrice, multipliers.legacyMultiplier);
+  checkFeeCap(gasPrice);
+  return { gasPrice };
 }
 
-// New function for automated random swapping
-async function performAutomatedRandomSwaps(wallet, tokenAddress, maxSwaps, minMON, maxMON, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
+// Most a transaction can pay per gas under the current strategy, for balance checks
+async function getMaxGasPrice() {
+  const fees = await getFeeOverrides();
+  return fees.maxFeePerGas || fees.gasPrice;
+}
+
+// What a mined transaction actually paid per gas
+function getReceiptFee(receipt) {
+  return receipt.gasUsed.mul(receipt.effectiveGasPrice || ethers.constants.Zero);
+}
+
+async function estimateGasLimit(transaction) {
+  const estimate = await provider.estimateGas(transaction);
+  return scaleBigNumber(estimate, config.gas.limitMultiplier);
+}
+
+// Fill in whatever gas fields the caller left out. Explicit fees are still held to the cap.
+async function applyGasPolicy(wallet, transaction) {
+  const request = { ...transaction };
+  if (request.gasPrice || request.maxFeePerGas) {
+    checkFeeCap(request.maxFeePerGas || request.gasPrice);
+  } else {
+    Object.assign(request, await getFeeOverrides());
+  }
+  if (!request.gasLimit) {
+    const estimateRequest = { ...request, from: wallet.address };
+    delete estimateRequest.nonce;
+    request.gasLimit = await estimateGasLimit(estimateRequest);
+  }
+  return request;
+}
+
+// Nonces
+// Each wallet's nonces are handed out locally, so back-to-back transactions (approve
+// then swap, several swaps in a row) don't race on the provider's pending count and
+// don't have to wait for each other's receipts. "Nonce too low" (mined) and "replacement
+// underpriced" (held in the mempool by a transaction sent elsewhere, since a freshly
+// reserved nonce was never used for this call) resync the counter and retry with a fresh
+// nonce. When the connection fails mid-send, the node may still have accepted the
+// transaction, so its hash is looked up before the nonce is given back. Nonces that were
+// never broadcast, or whose transaction was dropped, are reported as gaps and reused first.
+const NONCE_RETRIES = 3;
+const NONCE_TOO_LOW = /nonce too low|nonce has already been used|nonce is too low/i;
+const REPLACEMENT_UNDERPRICED = /replacement (transaction )?underpriced/i;
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+function getNodeErrorMessage(error) {
+  return `${error.message || ''} ${(error.error && error.error.message) || ''}`;
+}
+
+function isNonceTooLow(error) {
+  return error.code === 'NONCE_EXPIRED' || NONCE_TOO_LOW.test(getNodeErrorMessage(error));
+}
+
+function isReplacementUnderpriced(error) {
+  return error.code === 'REPLACEMENT_UNDERPRICED' || REPLACEMENT_UNDERPRICED.test(getNodeErrorMessage(error));
+}
+
+// The node already has this exact signed transaction, e.g. after a retried eth_sendRawTransaction
+function isAlreadyKnown(error) {
+  return ALREADY_KNOWN.test(getNodeErrorMessage(error));
+}
+
+class NonceManager {
+  constructor() {
+    this.wallets = {}; // Keyed by lowercase address
+  }
   
-  console.log(chalk.blue(`\n=== Starting Automated Random Swaps (max ${maxSwaps} roundtrips) ===`));
-  console.log(`Target token: ${(await findTokenByAddress(tokenAddress)).symbol}`);
-  console.log(`MON amount range: ${minMON} - ${maxMON} MON per swap`);
-  console.log(`Random timing and amounts will be used to simulate human behavior`);
+  getState(address) {
+    const key = address.toLowerCase();
+    if (!this.wallets[key]) {
+      this.wallets[key] = {
+        next: null,
+        inFlight: new Map(), // nonce → hash of the transaction sent with it
+        gaps: new Set(),
+        lock: Promise.resolve()
+      };
+    }
+    return this.wallets[key];
+  }
   
-  const results = [];
-  let continueSeries = true;
-  let swapCount = 0;
+  // Runs fn with the wallet's nonce state locked, so concurrent sends can't hand out the same nonce
+  withLock(address, fn) {
+    const state = this.getState(address);
+    const run = state.lock.then(() => fn(state));
+    state.lock = run.catch(() => {});
+    return run;
+  }
   
-  // Check initial MON balance
-  const initialMonBalance = await provider.getBalance(wallet.address);
-  console.log(`\nInitial MON balance: ${ethers.utils.formatEther(initialMonBalance)} MON\n`);
+  async resync(address) {
+    return this.withLock(address, state => this.syncState(address, state));
+  }
   
-  while (continueSeries && swapCount < maxSwaps) {
-    try {
-      // Random wait time before starting
-      await randomUtils.sleep(1000, 10000);
-      
-      swapCount++;
-      console.log(chalk.yellow(`\n--- Roundtrip Swap ${swapCount}/${maxSwaps} ---`));
-      
-      // Get current MON balance
-      const currentMonBalance = await provider.getBalance(wallet.address);
-      const currentMonFloat = parseFloat(ethers.utils.formatEther(currentMonBalance));
-      
-      // If balance is too low, end the series
-      if (currentMonFloat < minMON) {
-        console.log(chalk.red(`MON balance (${currentMonFloat}) is below minimum (${minMON}). Stopping swap series.`));
-        break;
+  async syncState(address, state) {
+    const chainNonce = await provider.getTransactionCount(address, 'pending');
+    for (const nonce of state.inFlight.keys()) {
+      if (nonce < chainNonce) state.inFlight.delete(nonce);
+    }
+    state.gaps = new Set([...state.gaps].filter(nonce => nonce >= chainNonce));
+    
+    if (state.next === null || chainNonce >= state.next) {
+      state.next = chainNonce;
+      state.gaps.clear();
+      return;
+    }
+    
+    // The node is behind our counter: whatever it doesn't know about will block later transactions
+    for (let nonce = chainNonce; nonce < state.next; nonce++) {
+      const hash = state.inFlight.get(nonce);
+      if (!hash || !(await provider.getTransaction(hash))) {
+        state.inFlight.delete(nonce);
+        state.gaps.add(nonce);
       }
-      
-      // Calculate a random amount to use (between min and max, but not more than 80% of available balance)
-      const maxPossibleAmount = Math.min(maxMON, currentMonFloat * 0.8);
-      const randomAmount = randomUtils.getRandomFloat(minMON, maxPossibleAmount);
-      console.log(`Using random amount: ${randomAmount.toFixed(4)} MON`);
-      
-      // First simulation: MON to Token
-      let swap1Hash;
+    }
+    if (state.gaps.size > 0) {
+      console.log(chalk.yellow(`Nonce gap for ${address}: ${[...state.gaps].sort((a, b) => a - b).join(', ')} not on the node, filling first`));
+    }
+  }
+  
+  async reserve(address) {
+    return this.withLock(address, async state => {
+      if (state.next === null) {
+        await this.syncState(address, state);
+      }
+      if (state.gaps.size > 0) {
+        const nonce = Math.min(...state.gaps);
+        state.gaps.delete(nonce);
+        return nonce;
+      }
+      return state.next++;
+    });
+  }
+  
+  // A nonce something else holds in the mempool, which the node's pending count may not show
+  async skip(address, nonce) {
+    return this.withLock(address, state => {
+      state.gaps.delete(nonce);
+      if (state.next !== null && state.next <= nonce) state.next = nonce + 1;
+    });
+  }
+  
+  // A reserved nonce that was never broadcast
+  async release(address, nonce) {
+    return this.withLock(address, state => {
+      if (nonce === state.next - 1) {
+        state.next--;
+      } else if (nonce < state.next) {
+        state.gaps.add(nonce);
+      }
+    });
+  }
+  
+  // Signs and sends with a managed nonce, retrying with a fresh one when the nonce is
+  // already used. sendFn sets transactionHash on errors thrown after signing.
+  async send(address, request, sendFn) {
+    for (let attempt = 1; ; attempt++) {
+      const nonce = await this.reserve(address);
       try {
-        swap1Hash = await swapMonForToken(wallet, tokenAddress, randomAmount / 2, slippage);
-        console.log(`First swap completed: ${swap1Hash}`);
+        const tx = await sendFn({ ...request, nonce });
+        this.getState(address).inFlight.set(nonce, tx.hash);
+        return tx;
       } catch (error) {
-        console.error(`First swap failed: ${error.message}`);
-        // If first swap fails, try direct MON transaction as activity
-        swap1Hash = (await wallet.sendTransaction({
-          to: tokenAddress,
-          value: ethers.utils.parseEther((randomAmount / 4).toString()),
-          gasLimit: GAS_LIMIT,
-          gasPrice: GAS_PRICE
-        })).hash;
-        console.log(`Direct MON transaction completed: ${swap1Hash}`);
-      }
-      
-      // Get token balance for second swap
-      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-      const decimals = await token.decimals();
-      const balance = await token.balanceOf(wallet.address);
-      const tokenAmount = ethers.utils.formatUnits(balance, decimals);
-      
-      console.log(`Token balance: ${tokenAmount}`);
-      
-      // Second simulation: Token to MON (if we have tokens)
-      let swap2Hash;
-      if (parseFloat(tokenAmount) > 0) {
-        try {
-          swap2Hash = await swapTokenForMon(wallet, tokenAddress, tokenAmount, slippage);
-          console.log(`Second swap completed: ${swap2Hash}`);
-        } catch (error) {
-          console.error(`Second swap failed: ${error.message}`);
-          // If second swap fails, try token transfer as activity
-          const transferAmount = ethers.utils.parseUnits((parseFloat(tokenAmount) / 2).toString(), decimals);
-          if (transferAmount.gt(0)) {
-            swap2Hash = (await token.connect(wallet).transfer(wallet.address, transferAmount, {
-              gasLimit: GAS_LIMIT,
-              gasPrice: GAS_PRICE
-            })).hash;
-            console.log(`Token self-transfer completed: ${swap2Hash}`);
-          } else {
-            swap2Hash = "None - insufficient token balance";
-          }
+        if (isReplacementUnderpriced(error)) {
+          // Another transaction holds this nonce in the mempool; move past it
+          await this.resync(address);
+          await this.skip(address, nonce);
+        } else if (isNonceTooLow(error)) {
+          // The nonce is mined already; resync and try the next one
+          await this.resync(address);
+        } else if (error.transactionHash && RPC_ERROR_CODES.includes(error.code)) {
+          // The node may have taken the transaction before the connection failed
+          const sent = await provider.getTransaction(error.transactionHash).catch(() => null);
+          this.getState(address).inFlight.set(nonce, error.transactionHash);
+          if (sent) return sent;
+          // Resyncing keeps the nonce while the node still knows the hash, and only
+          // reports it as a gap once it doesn't
+          await this.resync(address).catch(() => {});
+          throw error;
+        } else {
+          await this.release(address, nonce);
+          throw error;
         }
-      } else {
-        swap2Hash = "None - no token balance";
-      }
-      
-      results.push({
-        swap: swapCount,
-        amount: randomAmount.toFixed(4),
-        success: true,
-        hashes: [swap1Hash, swap2Hash]
-      });
-      
-      // Random chance (10%) to end the series early
-      if (Math.random() < 0.1 && swapCount >= 2) {
-        console.log(chalk.yellow(`Randomly ending swap series after ${swapCount} swaps.`));
-        continueSeries = false;
+        if (attempt >= NONCE_RETRIES) throw error;
       }
-    } catch (error) {
-      console.error(`Error in automated swap #${swapCount}: ${error.message}`);
-      results.push({
-        swap: swapCount,
-        success: false,
-        error: error.message
-      });
-      
-      // Wait after error before continuing
-      await randomUtils.sleep(1000, 10000);
     }
   }
+}
+
+const nonceManager = new NonceManager();
+
+// Spending policy
+// policy.json in the working directory limits what each wallet may sign. Rules go under
+// "default", under "groups" by wallet group name and under "wallets" by wallet name. For
+// each limit the wallet's own rule wins, then the strictest of its groups, then the default:
+//   maxMonPerTx, maxMonPerDay - MON one transaction, or all of a UTC day's transactions, may
+//                               spend: value plus the most the gas can cost
+//   maxSlippage               - highest slippage tolerance, in percent
+//   allowedTokens             - symbols or addresses that may be traded or transferred
+//                               (MON and WMON always may)
+//   allowedDestinations       - addresses MON or tokens may be sent to (besides the wallet)
+// ManagedWallet checks every transaction before signing it and swaps check their slippage.
+// A breach throws PolicyError, which the failure policy never turns into a fallback.
+const POLICY_PATH = path.join(process.cwd(), 'policy.json');
+const POLICY_SPEND_PATH = path.join(process.cwd(), 'policy-spend.json');
+const POLICY_FIELDS = ['maxMonPerTx', 'maxMonPerDay', 'maxSlippage', 'allowedTokens', 'allowedDestinations'];
+
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+function parsePolicyRule(rule, where) {
+  const parsed = {};
+  for (const [field, value] of Object.entries(rule)) {
+    if (!POLICY_FIELDS.includes(field)) {
+      throw new Error(`${where}: unknown limit "${field}"`);
+    }
+    if (field === 'maxMonPerTx' || field === 'maxMonPerDay') {
+      parsed[field] = parseDecimalAmount(value, 18);
+    } else if (field === 'maxSlippage') {
+      parsed[field] = parseBps(value);
+    } else if (!Array.isArray(value)) {
+      throw new Error(`${where}: ${field} must be a list`);
+    } else if (field === 'allowedDestinations') {
+      parsed[field] = value.map(address => ethers.utils.getAddress(address).toLowerCase());
+    } else {
+      parsed[field] = value.map(token => String(token).toLowerCase());
+    }
+  }
+  return parsed;
+}
+
+// A policy file that can't be read stops the CLI rather than leaving wallets unguarded
+function loadPolicy() {
+  if (!fs.existsSync(POLICY_PATH)) return null;
   
-  // Check final balance
-  const finalMonBalance = await provider.getBalance(wallet.address);
-  console.log(`\nFinal MON balance: ${ethers.utils.formatEther(finalMonBalance)} MON`);
-  
-  // Calculate profit/loss
-  const difference = finalMonBalance.sub(initialMonBalance);
-  const differenceEther = ethers.utils.formatEther(difference);
-  
-  console.log(chalk.blue('\n=== Automated Swap Series Summary ==='));
-  console.log(`Completed ${swapCount} roundtrip swaps`);
-  console.log(`MON balance change: ${differenceEther} MON`);
+  try {
+    const policy = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+    const parseRules = (rules = {}, where) => Object.fromEntries(
+      Object.entries(rules).map(([name, rule]) => [name, parsePolicyRule(rule, `${where}.${name}`)])
+    );
+    return {
+      default: parsePolicyRule(policy.default || {}, 'default'),
+      groups: parseRules(policy.groups, 'groups'),
+      wallets: parseRules(policy.wallets, 'wallets')
+    };
+  } catch (error) {
+    console.error(chalk.red(`Error loading ${POLICY_PATH}: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+const spendingPolicy = loadPolicy();
+
+function stricterLimit(a, b) {
+  if (Array.isArray(a)) return a.filter(entry => b.includes(entry));
+  if (ethers.BigNumber.isBigNumber(a)) return minBigNumber(a, b);
+  return Math.min(a, b);
+}
+
+// The limits that apply to a wallet, or null when there is no policy file
+function getWalletPolicy(wallet) {
+  if (!spendingPolicy) return null;
   
-  const successful = results.filter(r => r.success).length;
-  console.log(`${successful} of ${results.length} roundtrips completed successfully`);
+  const name = wallet.walletName;
+  const groupRules = Object.entries(spendingPolicy.groups)
+    .filter(([group]) => (walletManager.groups[group] || []).includes(name))
+    .map(([, rule]) => rule);
+  const walletRule = spendingPolicy.wallets[name] || {};
   
-  return results;
+  const limits = {};
+  for (const field of POLICY_FIELDS) {
+    const groupValues = groupRules.map(rule => rule[field]).filter(value => value !== undefined);
+    if (walletRule[field] !== undefined) {
+      limits[field] = walletRule[field];
+    } else if (groupValues.length > 0) {
+      limits[field] = groupValues.reduce(stricterLimit);
+    } else if (spendingPolicy.default[field] !== undefined) {
+      limits[field] = spendingPolicy.default[field];
+    }
+  }
+  return limits;
 }
 
-// Function for randomized multi-token swapping
-async function performRandomMultiTokenSwaps(wallet, swaps, minAmount, maxAmount, slippage = 5) {
-  stopAllSpinners(); // Ensure no spinners are running
-  console.log(chalk.blue(`\n=== Starting Random Multi-Token Swap Series (${swaps} swaps) ===`));
-  console.log(`Amount range: ${minAmount} - ${maxAmount} MON per swap`);
+function loadPolicySpend() {
+  try {
+    if (fs.existsSync(POLICY_SPEND_PATH)) {
+      return JSON.parse(fs.readFileSync(POLICY_SPEND_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading ${POLICY_SPEND_PATH}: ${error.message}`);
+  }
+  return {};
+}
+
+// Today's spend per address is kept by nonce, so a speed-up or cancel replaces the cost of
+// the transaction it replaces instead of adding to it
+function getDailySpend(address, excludeNonce) {
+  const entry = loadPolicySpend()[address.toLowerCase()];
+  if (!entry || entry.day !== new Date().toISOString().slice(0, 10)) return ethers.constants.Zero;
   
-  const results = [];
+  return Object.entries(entry.byNonce)
+    .filter(([nonce]) => Number(nonce) !== excludeNonce)
+    .reduce((total, [, cost]) => total.add(cost), ethers.constants.Zero);
+}
+
+function recordPolicySpend(address, nonce, cost) {
+  if (!spendingPolicy || dryRun.enabled) return;
   
-  // Get initial balance
-  const initialMonBalance = await provider.getBalance(wallet.address);
-  console.log(`\nInitial MON balance: ${ethers.utils.formatEther(initialMonBalance)} MON\n`);
+  const spend = loadPolicySpend();
+  const day = new Date().toISOString().slice(0, 10);
+  const key = address.toLowerCase();
+  if (!spend[key] || spend[key].day !== day) {
+    spend[key] = { day, byNonce: {} };
+  }
+  spend[key].byNonce[nonce] = cost.toString();
+  fs.writeFileSync(POLICY_SPEND_PATH, JSON.stringify(spend, null, 2));
+}
+
+// Replaces a transaction's recorded worst case with what it cost once mined. Only entries
+// recorded today are touched; transactions the policy didn't count have none.
+function settlePolicySpend(address, nonce, receipt, value) {
+  if (!spendingPolicy || dryRun.enabled || !receipt.gasUsed || !receipt.effectiveGasPrice) return;
   
-  const tokens = await getAllTokens();
-  const tokenAddresses = Object.values(tokens).map(t => t.address);
+  const spend = loadPolicySpend();
+  const entry = spend[address.toLowerCase()];
+  if (!entry || entry.day !== new Date().toISOString().slice(0, 10) || entry.byNonce[nonce] === undefined) return;
   
-  for (let i = 0; i < swaps; i++) {
-    try {
-      // Random wait time before starting
-      await randomUtils.sleep(1000, 10000);
-      
-      console.log(chalk.yellow(`\n--- Random Swap ${i+1}/${swaps} ---`));
-      
-      // Get current MON balance
-      const currentMonBalance = await provider.getBalance(wallet.address);
-      const currentMonFloat = parseFloat(ethers.utils.formatEther(currentMonBalance));
-      
-      // Calculate a random amount to use (between min and max, but not more than 70% of available balance)
-      const maxPossibleAmount = Math.min(maxAmount, currentMonFloat * 0.7);
-      if (maxPossibleAmount < minAmount) {
-        console.log(chalk.red(`MON balance (${currentMonFloat}) is too low for minimum swap amount (${minAmount}). Skipping this swap.`));
-        continue;
-      }
+  const cost = ethers.BigNumber.from(value || 0).add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+  entry.byNonce[nonce] = cost.toString();
+  fs.writeFileSync(POLICY_SPEND_PATH, JSON.stringify(spend, null, 2));
+}
 
-      const randomAmount = randomUtils.getRandomFloat(minAmount, maxPossibleAmount);
-      console.log(`Using random amount: ${randomAmount.toFixed(4)} MON`);
-      
-      // Select a random token
-      const randomTokenIndex = randomUtils.getRandomInt(0, tokenAddresses.length - 1);
-      const randomTokenAddress = tokenAddresses[randomTokenIndex];
-      const tokenInfo = await findTokenByAddress(randomTokenAddress);
-      
-      console.log(`Selected random token: ${tokenInfo.symbol}`);
-      
-      // Decide randomly what to do (MON to Token, Token to MON, or roundtrip)
-      // Check if we have any token balance first
-      const tokenContract = new ethers.Contract(randomTokenAddress, ERC20_ABI, provider);
-      const tokenBalance = await tokenContract.balanceOf(wallet.address);
-      const tokenBalanceFormatted = ethers.utils.formatUnits(tokenBalance, tokenInfo.decimals);
-      
-      let action = 'monToToken'; // Default action
-      let hash;
-      
-      // If we have tokens, randomly decide between actions
-      if (parseFloat(tokenBalanceFormatted) > 0) {
-        const actions = ['monToToken', 'tokenToMon', 'roundtrip'];
-        action = actions[randomUtils.getRandomInt(0, 2)];
-      }
-      
-      try {
-        switch (action) {
-          case 'monToToken':
-            console.log('Randomly selected action: MON to Token');
-            hash = await swapMonForToken(wallet, randomTokenAddress, randomAmount, slippage);
-            break;
-          case 'tokenToMon':
-            console.log('Randomly selected action: Token to MON');
-            // Use a maximum of 90% of token balance and respect token decimals
-            const tokenDecimalPlaces = tokenInfo.decimals;
-            const tokenAmountToSwap = (parseFloat(tokenBalanceFormatted) * 0.9).toFixed(tokenDecimalPlaces);
-            hash = await swapTokenForMon(wallet, randomTokenAddress, tokenAmountToSwap, slippage);
-            break;
-          case 'roundtrip':
-            console.log('Randomly selected action: Roundtrip');
-            const result = await performRoundtrip(wallet, randomTokenAddress, randomAmount, slippage);
-            hash = result.swaps;
-            break;
-        }
-        
-        results.push({
-          swap: i+1,
-          token: tokenInfo.symbol,
-          action,
-          amount: action === 'tokenToMon' ? 
-                  `${(parseFloat(tokenBalanceFormatted) * 0.9).toFixed(tokenInfo.decimals)} ${tokenInfo.symbol}` : 
-                  `${randomAmount.toFixed(4)} MON`,
-          success: true,
-          hash
-        });
-      } catch (error) {
-        console.error(`Action ${action} failed: ${error.message}`);
-        
-        // Fallback to direct transaction as activity
-        try {
-          if (action === 'monToToken' || action === 'roundtrip') {
-            hash = (await wallet.sendTransaction({
-              to: randomTokenAddress,
-              value: ethers.utils.parseEther((randomAmount / 4).toString()),
-              gasLimit: GAS_LIMIT,
-              gasPrice: GAS_PRICE
-            })).hash;
-            console.log(`Direct MON transaction completed: ${hash}`);
-          } else {
-            // Token to MON - try a self transfer if we have tokens
-            if (parseFloat(tokenBalanceFormatted) > 0) {
-              const transferAmount = ethers.utils.parseUnits((parseFloat(tokenBalanceFormatted) / 2).toString(), tokenInfo.decimals);
-              hash = (await tokenContract.connect(wallet).transfer(wallet.address, transferAmount, {
-                gasLimit: GAS_LIMIT,
-                gasPrice: GAS_PRICE
-              })).hash;
-              console.log(`Token self-transfer completed: ${hash}`);
-            } else {
-              throw new Error("Insufficient token balance for fallback");
-            }
-          }
-          
-          results.push({
-            swap: i+1,
-            token: tokenInfo.symbol,
-            action: `${action} (fallback)`,
-            amount: `${randomAmount.toFixed(4)} MON`,
-            success: true,
-            hash
-          });
-        } catch (fallbackError) {
-          console.error(`Fallback also failed: ${fallbackError.message}`);
-          results.push({
-            swap: i+1,
-            token: tokenInfo.symbol,
-            action,
-            success: false,
-            error: error.message
-          });
-        }
-      }
-    } catch (error) {
-      console.error(`Error in random swap #${i+1}: ${error.message}`);
-      results.push({
-        swap: i+1,
-        success: false,
-        error: error.message
-      });
-      
-      // Wait after error before continuing
-      await randomUtils.sleep(1000, 10000);
-    }
+// Value plus the most the gas can cost. Simulated transactions may not have a gas limit
+// yet, so the typical swap limit stands in.
+function getMaxTransactionCost(request) {
+  const gasLimit = ethers.BigNumber.from(request.gasLimit || GAS_LIMIT);
+  const feePerGas = ethers.BigNumber.from(request.maxFeePerGas || request.gasPrice || 0);
+  return ethers.BigNumber.from(request.value || 0).add(gasLimit.mul(feePerGas));
+}
+
+// Tokens a transaction trades, transfers or approves and the addresses it sends them to,
+// read from its calldata
+function getTransactionFlows(request) {
+  const tokens = [];
+  const destinations = [];
+  if (!request.data || request.data === '0x') {
+    destinations.push(request.to);
+    return { tokens, destinations };
   }
   
-  // Check final balance
-  const finalMonBalance = await provider.getBalance(wallet.address);
-  console.log(`\nFinal MON balance: ${ethers.utils.formatEther(finalMonBalance)} MON`);
+  const parsed = parseSimulatedCall(request.data);
+  if (!parsed) return { tokens, destinations };
   
-  // Calculate profit/loss
-  const difference = finalMonBalance.sub(initialMonBalance);
-  const differenceEther = ethers.utils.formatEther(difference);
+  const { name, args } = parsed.call;
+  if (name === 'transfer') {
+    tokens.push(request.to);
+    destinations.push(args[0]);
+  } else if (name === 'approve') {
+    // An allowance lets the spender move the token later; revoking one moves nothing
+    if (!args[1].isZero()) tokens.push(request.to);
+  } else if (name === 'userCmd') {
+    // Hot path swaps start with (base, quote); warm path commands with (code, base, quote)
+    const offset = args.callpath === CROC_LIQ_PROXY_IDX ? 32 : 0;
+    tokens.push(...ethers.utils.defaultAbiCoder.decode(['address', 'address'], ethers.utils.hexDataSlice(args.cmd, offset, offset + 64)));
+  } else {
+    if (args.path) tokens.push(...args.path);
+    ['token', 'tokenA', 'tokenB'].forEach(key => args[key] && tokens.push(args[key]));
+    if (args.to) destinations.push(args.to);
+  }
+  return { tokens, destinations };
+}
+
+let policyTokenAddresses = null;
+
+async function isPolicyToken(allowedTokens, token) {
+  if (token === NATIVE_MON || token.toLowerCase() === WRAPPED_MONAD.toLowerCase()) return true;
   
-  console.log(chalk.blue('\n=== Random Multi-Token Swap Series Summary ==='));
-  console.log(`Completed ${results.filter(r => r.success).length} of ${swaps} random swaps`);
-  console.log(`MON balance change: ${differenceEther} MON`);
+  if (!policyTokenAddresses) {
+    const known = await getAllTokens();
+    policyTokenAddresses = Object.fromEntries(
+      Object.entries(known).map(([symbol, data]) => [symbol.toLowerCase(), data.address.toLowerCase()])
+    );
+  }
+  if (allowedTokens.some(entry => (policyTokenAddresses[entry] || entry) === token.toLowerCase())) return true;
   
-  return results;
+  // A router LP token stands for its pair, so it is allowed when both of its tokens are
+  const pairTokens = await getPairTokens(token);
+  if (!pairTokens) return false;
+  for (const pairToken of pairTokens) {
+    if (!(await isPolicyToken(allowedTokens, pairToken))) return false;
+  }
+  return true;
 }
 
-// Function for multi-wallet operations
-async function performMultiWalletSwaps(walletNames, swapParameters, walletManager, totalSwapsPerWallet) {
-  stopAllSpinners(); // Ensure no spinners are running
+async function getPairTokens(address) {
+  const pair = new ethers.Contract(address, PAIR_ABI, provider);
+  try {
+    return await Promise.all([pair.token0(), pair.token1()]);
+  } catch (error) {
+    return null; // Not a pair
+  }
+}
+
+async function enforceTransactionPolicy(wallet, transaction) {
+  const limits = getWalletPolicy(wallet);
+  if (!limits) return;
   
-  console.log(chalk.blue(`\n=== Starting Multi-Wallet Operation with ${walletNames.length} wallets ===`));
-  console.log(`Each wallet will perform ${totalSwapsPerWallet} swaps in a randomized order`);
+  const request = await ethers.utils.resolveProperties(transaction);
+  const refuse = reason => {
+    throw new PolicyError(`Refused by ${path.basename(POLICY_PATH)} for wallet ${wallet.walletName}: ${reason}`);
+  };
+  
+  const cost = getMaxTransactionCost(request);
+  if (limits.maxMonPerTx && cost.gt(limits.maxMonPerTx)) {
+    refuse(`this transaction can spend up to ${ethers.utils.formatEther(cost)} MON including gas, above the limit of ${ethers.utils.formatEther(limits.maxMonPerTx)} MON per transaction`);
+  }
+  if (limits.maxMonPerDay) {
+    const spent = getDailySpend(wallet.address, request.nonce);
+    if (spent.add(cost).gt(limits.maxMonPerDay)) {
+      refuse(`${ethers.utils.formatEther(spent)} MON spent today plus up to ${ethers.utils.formatEther(cost)} MON for this transaction is above the limit of ${ethers.utils.formatEther(limits.maxMonPerDay)} MON per day`);
+    }
+  }
+  
+  const { tokens, destinations } = getTransactionFlows(request);
+  await enforceTokenPolicy(wallet, tokens);
+  if (limits.allowedDestinations) {
+    for (const destination of destinations) {
+      const address = destination.toLowerCase();
+      if (address !== wallet.address.toLowerCase() && !limits.allowedDestinations.includes(address)) {
+        refuse(`${ethers.utils.getAddress(destination)} is not an allowed destination`);
+      }
+    }
+  }
+  
+  return cost;
+}
+
+// Swaps and liquidity changes check their tokens before anything is sent, so a forbidden
+// token is refused before its approval rather than after
+async function enforceTokenPolicy(wallet, tokens) {
+  const limits = getWalletPolicy(wallet);
+  if (!limits || !limits.allowedTokens) return;
+  
+  for (const token of tokens) {
+    if (!(await isPolicyToken(limits.allowedTokens, token))) {
+      throw new PolicyError(`Refused by ${path.basename(POLICY_PATH)} for wallet ${wallet.walletName}: ${await getTokenSymbol(token)} (${ethers.utils.getAddress(token)}) is not an allowed token`);
+    }
+  }
+}
+
+function enforceSlippagePolicy(wallet, slippageBps) {
+  const limits = getWalletPolicy(wallet);
+  if (limits && limits.maxSlippage !== undefined && slippageBps > limits.maxSlippage) {
+    throw new PolicyError(`Refused by ${path.basename(POLICY_PATH)} for wallet ${wallet.walletName}: slippage of ${formatBps(slippageBps)} is above the limit of ${formatBps(limits.maxSlippage)}`);
+  }
+}
+
+// Dry run
+// With --dry-run a ManagedWallet's sendTransaction runs
+// eth_call and estimateGas instead of broadcasting, so every helper that sends
+// (swaps, roundtrips, liquidity, transfers, multi-wallet runs) is simulated as-is.
+// Simulations see current chain state only: a transaction that relies on an earlier
+// simulated one (an approval, the first leg of a roundtrip) may revert, and is then
+// reported as unverified rather than failing the whole plan.
+const dryRun = {
+  enabled: false,
+  transactions: [],
+  outputs: {} // Simulated amounts received, keyed by owner then asset
+};
+
+function parseSimulatedCall(data) {
+  if (!data || data === '0x') return null;
+  for (const iface of KNOWN_INTERFACES) {
+    try {
+      return { iface, call: iface.parseTransaction({ data }) };
+    } catch (error) {
+      // Not a function of this interface
+    }
+  }
+  return null;
+}
+
+function addSimulatedOutput(owner, asset, amount) {
+  const key = owner.toLowerCase();
+  dryRun.outputs[key] = dryRun.outputs[key] || {};
+  const current = dryRun.outputs[key][asset.toLowerCase()] || ethers.constants.Zero;
+  dryRun.outputs[key][asset.toLowerCase()] = current.add(amount);
+}
+
+// Used by getReceivedAmount in place of a balance delta, which a simulation can't produce
+function takeSimulatedOutput(owner, asset) {
+  const outputs = dryRun.outputs[owner.toLowerCase()] || {};
+  const amount = outputs[asset.toLowerCase()] || ethers.constants.Zero;
+  delete outputs[asset.toLowerCase()];
+  return amount;
+}
+
+// Credit what a successful simulation says the wallet would receive
+function recordSimulatedOutputs(owner, transaction, parsed, output) {
+  const { iface, call } = parsed;
+  
+  if (call.name === 'deposit') {
+    addSimulatedOutput(owner, WRAPPED_MONAD, ethers.BigNumber.from(transaction.value || 0));
+  } else if (call.name === 'withdraw') {
+    addSimulatedOutput(owner, NATIVE_MON, call.args[0]);
+  } else if (call.name.startsWith('swap') && call.functionFragment.outputs.length > 0) {
+    const [amounts] = iface.decodeFunctionResult(call.functionFragment, output);
+    const path = call.args.path;
+    const asset = /ETH(SupportingFeeOnTransferTokens)?$/.test(call.name) ? NATIVE_MON : path[path.length - 1];
+    addSimulatedOutput(owner, asset, amounts[amounts.length - 1]);
+  } else if (call.name === 'userCmd' && call.args.callpath === CROC_HOT_PROXY_IDX) {
+    // Hot path swaps return the pool's (baseFlow, quoteFlow); negative flows go to the user
+    const [returned] = iface.decodeFunctionResult(call.functionFragment, output);
+    const [baseFlow, quoteFlow] = ethers.utils.defaultAbiCoder.decode(['int128', 'int128'], returned);
+    const [base, quote] = ethers.utils.defaultAbiCoder.decode(['address', 'address'], ethers.utils.hexDataSlice(call.args.cmd, 0, 64));
+    if (baseFlow.lt(0)) addSimulatedOutput(owner, base, baseFlow.abs());
+    if (quoteFlow.lt(0)) addSimulatedOutput(owner, quote, quoteFlow.abs());
+  }
+}
+
+// The limit a real send would get, so the spending policy sees the same cost. A call that
+// can't be estimated yet (it needs an earlier simulated approval) gets the typical limit.
+async function estimateDryRunGasLimit(wallet, request) {
+  const estimateRequest = { ...request, from: wallet.address };
+  delete estimateRequest.nonce;
+  try {
+    return await estimateGasLimit(estimateRequest);
+  } catch (error) {
+    if (RPC_ERROR_CODES.includes(error.code)) {
+      throw new RpcError(`Could not simulate transaction: ${error.message}`, error);
+    }
+    const parsed = parseSimulatedCall(request.data);
+    const typical = parsed && parsed.call.name === 'approve' ? APPROVE_GAS_LIMIT : getSwapGasLimit();
+    return scaleBigNumber(typical, config.gas.limitMultiplier);
+  }
+}
+
+async function simulateTransaction(wallet, transaction) {
+  const request = await ethers.utils.resolveProperties({ ...transaction, from: wallet.address });
+  const parsed = parseSimulatedCall(request.data);
+  const entry = {
+    hash: `dry-run-${dryRun.transactions.length + 1}`,
+    from: wallet.address,
+    to: request.to,
+    value: ethers.BigNumber.from(request.value || 0),
+    method: parsed ? parsed.call.name : (request.data && request.data !== '0x' ? 'unknown call' : 'transfer'),
+    gasLimit: request.gasLimit ? ethers.BigNumber.from(request.gasLimit) : null,
+    feePerGas: ethers.BigNumber.from(request.maxFeePerGas || request.gasPrice || 0)
+  };
+  const dependsOnEarlier = dryRun.transactions.some(t => t.from === wallet.address && t.status !== 'reverted');
+  
+  try {
+    const callRequest = { ...request };
+    delete callRequest.gasPrice;
+    delete callRequest.maxFeePerGas;
+    delete callRequest.maxPriorityFeePerGas;
+    delete callRequest.nonce;
+    const output = await provider.call(callRequest);
+    entry.gasUsed = await provider.estimateGas(callRequest);
+    entry.status = 'ok';
+    if (parsed) {
+      try {
+        recordSimulatedOutputs(wallet.address, request, parsed, output);
+      } catch (error) {
+        // Output couldn't be decoded; the run still shows the call succeeded
+      }
+    }
+  } catch (error) {
+    if (RPC_ERROR_CODES.includes(error.code)) {
+      throw new RpcError(`Could not simulate transaction: ${error.message}`, error);
+    }
+    entry.reason = getRevertReason(error);
+    entry.status = dependsOnEarlier ? 'unverified' : 'reverted';
+    entry.gasUsed = entry.gasLimit || ethers.BigNumber.from(GAS_LIMIT);
+  }
+  
+  dryRun.transactions.push(entry);
+  console.log(chalk.cyan(`\n[dry run] ${entry.method} → ${entry.to}: ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}, gas ${entry.gasUsed.toString()}`));
+  
+  const receipt = {
+    transactionHash: entry.hash,
+    from: entry.from,
+    to: entry.to,
+    status: entry.status === 'reverted' ? 0 : 1,
+    gasUsed: entry.gasUsed,
+    effectiveGasPrice: entry.feePerGas,
+    blockNumber: null,
+    logs: [],
+    dryRun: true,
+    revertReason: entry.reason
+  };
+  
+  return {
+    hash: entry.hash,
+    ...request,
+    wait: async () => {
+      if (receipt.status === 0) {
+        const error = new Error(`transaction reverted in simulation: ${entry.reason}`);
+        error.code = 'CALL_EXCEPTION';
+        error.reason = entry.reason;
+        error.receipt = receipt;
+        throw error;
+      }
+      return receipt;
+    }
+  };
+}
+
+// Every unlocked wallet is a ManagedWallet, so every helper that signs goes through the
+// gas policy, the spending policy and the nonce manager, and is simulated instead under --dry-run
+class ManagedWallet extends ethers.Wallet {
+  constructor(privateKey, provider, walletName) {
+    super(privateKey, provider);
+    this.walletName = walletName; // Selects this wallet's rules in policy.json
+  }
+  
+  async sendTransaction(transaction) {
+    if (dryRun.enabled) {
+      const fees = transaction.gasPrice || transaction.maxFeePerGas ? {} : await getFeeOverrides();
+      const request = { ...fees, ...transaction };
+      if (!request.gasLimit) request.gasLimit = await estimateDryRunGasLimit(this, request);
+      await enforceTransactionPolicy(this, request);
+      return simulateTransaction(this, request);
+    }
+    
+    const request = await applyGasPolicy(this, transaction);
+    const cost = await enforceTransactionPolicy(this, request);
+    const tx = request.nonce !== undefined && request.nonce !== null
+      ? await this.broadcast(request)
+      : await nonceManager.send(this.address, request, managed => this.broadcast(managed));
+    trackPendingTransaction(this, tx);
+    if (cost) recordPolicySpend(this.address, tx.nonce, cost);
+    return tx;
+  }
+  
+  // Signer.sendTransaction, except that a node which already has the signed transaction
+  // counts as a successful send of it rather than an error. Other errors carry the hash,
+  // so the nonce manager can check whether the node took it anyway.
+  async broadcast(request) {
+    const populated = await this.populateTransaction(request);
+    const signed = await this.signTransaction(populated);
+    const hash = ethers.utils.keccak256(signed);
+    try {
+      return await this.provider.sendTransaction(signed);
+    } catch (error) {
+      if (!isAlreadyKnown(error)) {
+        error.transactionHash = error.transactionHash || hash;
+        throw error;
+      }
+      return this.provider._wrapTransaction(ethers.utils.parseTransaction(signed), hash);
+    }
+  }
+}
+
+// Print and clear the simulated transactions
+function reportDryRun() {
+  if (dryRun.transactions.length === 0) return;
+  
+  console.log(chalk.cyan('\n=== Dry Run Summary (nothing was sent) ==='));
+  let totalGas = ethers.constants.Zero;
+  let totalGasCost = ethers.constants.Zero;
+  let totalValue = ethers.constants.Zero;
+  dryRun.transactions.forEach((entry, index) => {
+    totalGas = totalGas.add(entry.gasUsed);
+    totalGasCost = totalGasCost.add(entry.gasUsed.mul(entry.feePerGas));
+    totalValue = totalValue.add(entry.value);
+    const value = entry.value.gt(0) ? `, value ${ethers.utils.formatEther(entry.value)} MON` : '';
+    const status = entry.status === 'ok' ? chalk.green('ok')
+      : entry.status === 'unverified' ? chalk.yellow('unverified, depends on earlier simulated transactions')
+      : chalk.red('reverted');
+    console.log(`${index + 1}. ${entry.from} ${entry.method} → ${entry.to}${value}, gas ${entry.gasUsed.toString()}: ${status}${entry.reason ? ` - ${entry.reason}` : ''}`);
+  });
+  console.log(`\nTotal MON sent as value: ${ethers.utils.formatEther(totalValue)} MON`);
+  console.log(`Total gas cost: up to ${ethers.utils.formatEther(totalGasCost)} MON (${totalGas.toString()} gas, ${config.gas.strategy} fees)`);
+  console.log(chalk.cyan('==========================================\n'));
+  
+  dryRun.transactions = [];
+  dryRun.outputs = {};
+}
+
+// Fallback for when the router can't be used. It does NOT swap: MON is sent to the
+// token contract, or tokens are sent back to the wallet itself. Only reachable when
+// config.failurePolicy is 'fallback'.
+async function directSwap(wallet, token, amount, isEthToToken = true) {
+  const spinner = createSpinner('Preparing direct swap...');
+  try {
+    // For direct swap with minimal router-like functionality
+    if (isEthToToken) {
+      spinner.text = 'Swapping MON directly for token...';
+      // Simple transfer of MON to simulate a swap
+      const tx = await wallet.sendTransaction({
+        to: token,
+        value: await resolveAmount(amount, 18, () => getSpendableBalance(wallet.address, NATIVE_MON))
+      });
+      spinner.text = 'Waiting for transaction to be confirmed...';
+      await confirmTransaction(tx);
+      spinner.warn(`Fallback MON transfer to the token contract completed (no swap): ${tx.hash}`);
+      return recordFallback(tx.hash);
+    } else {
+      // For token to MON direct swap simulation
+      const tokenContract = new ethers.Contract(token, ERC20_ABI, wallet);
+      spinner.text = 'Executing direct token to MON operation...';
+      
+      // This would normally be a swap, but we're simulating with a transfer
+      // In a real situation, you would need a proper swap mechanism
+      const tokenAmount = await resolveAmount(amount, await tokenContract.decimals(), () => getSpendableBalance(wallet.address, token));
+      const tx = await tokenContract.transfer(wallet.address, tokenAmount);
+      
+      spinner.text = 'Waiting for transaction to be confirmed...';
+      await confirmTransaction(tx);
+      spinner.warn(`Fallback token self-transfer completed (no swap): ${tx.hash}`);
+      return recordFallback(tx.hash);
+    }
+  } catch (error) {
+    spinner.fail(`Fallback transfer failed: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Pre-flight planning
+// Before an automated operation is sent, its full MON cost is worked out: the MON it
+// sells plus gas for every step (approve, swap and a roundtrip's return leg), priced at
+// the highest fee the gas policy allows. The first step's gas is estimated on the call it
+// will make; later steps depend on it, so they use typical limits scaled by the route's
+// hops. An operation the wallet can't afford is shrunk to fit, or skipped when even its
+// minimum can't be covered, instead of failing on-chain.
+
+// Typical gas for a swap that hasn't been prepared yet. Ambient swaps go through one pool.
+function getSwapGasLimit(hops = 1) {
+  return config.swapBackend === 'ambient' ? GAS_LIMIT * 2 : GAS_LIMIT * hops;
+}
+
+function getSwapSpender() {
+  return config.swapBackend === 'ambient' ? CROC_SWAP_DEX : AMBIENT_ROUTER;
+}
+
+// Whether selling amount of a token needs an approval first. Without an amount (the
+// return leg of a roundtrip, whose size isn't known yet) only an unlimited allowance counts.
+async function needsApproval(owner, tokenAddress, amount) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const allowance = await token.allowance(owner, getSwapSpender());
+  return allowance.lt(amount || ethers.constants.MaxUint256.div(2));
+}
+
+// The swap call a MON/token leg would send, built like the swap helpers do but with no
+// minimum output, which doesn't change its gas. request is null when no route is found.
+async function prepareSwapLeg(owner, tokenIn, tokenOut, amountIn) {
+  if (config.swapBackend === 'ambient') {
+    const { base, quote, isBuy } = getAmbientPair(tokenIn, tokenOut);
+    const request = await crocDex.populateTransaction.userCmd(CROC_HOT_PROXY_IDX, buildAmbientSwapCmd(base, quote, isBuy, amountIn, 0), {
+      from: owner,
+      value: tokenIn === NATIVE_MON ? amountIn : 0
+    });
+    return { hops: 1, request };
+  }
+  
+  const selling = tokenIn !== NATIVE_MON;
+  const route = await findBestRoute(selling ? tokenIn : WRAPPED_MONAD, selling ? WRAPPED_MONAD : tokenOut, amountIn).catch(() => null);
+  if (!route) return { hops: 1, request: null };
+  
+  const deadline = Math.floor(Date.now() / 1000) + 60 * 20;
+  const swapCall = buildRouterSwapCall(selling ? 'tokensForEth' : 'ethForTokens', false, amountIn, 0, route.path, owner, deadline);
+  const request = await router.populateTransaction[swapCall.method](...swapCall.args, { from: owner, value: swapCall.value });
+  return { hops: route.path.length - 1, request };
+}
+
+// Gas for each step of an operation. Only the first can be estimated now: the swap after
+// an approval needs the allowance, and a return leg the tokens the first leg buys. The
+// typical limit stands in when the node can't estimate it either (an amount above the
+// balance, say).
+async function getOperationGas(owner, type, tokenAddress, amount, tokenAmount, steps) {
+  const selling = type === 'tokenToMon';
+  const amountIn = selling ? tokenAmount : getMonValue(type, amount);
+  const leg = amountIn && !amountIn.isZero()
+    ? await prepareSwapLeg(owner, selling ? tokenAddress : NATIVE_MON, selling ? NATIVE_MON : tokenAddress, amountIn)
+    : { hops: 1, request: null };
+  
+  let firstGas = null;
+  try {
+    if (steps[0] === 'approve') {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      const allowance = config.exactApprovals ? amountIn : ethers.constants.MaxUint256;
+      firstGas = await token.estimateGas.approve(getSwapSpender(), allowance, { from: owner });
+    } else if (leg.request) {
+      firstGas = await provider.estimateGas(leg.request);
+    }
+  } catch (error) {
+    // Falls back to the typical limit
+  }
+  
+  return steps.map((step, index) => {
+    if (index === 0 && firstGas) return firstGas;
+    return ethers.BigNumber.from(step === 'approve' ? APPROVE_GAS_LIMIT : getSwapGasLimit(leg.hops));
+  });
+}
+
+async function getOperationSteps(owner, type, tokenAddress, tokenAmount) {
+  switch (type) {
+    case 'monToToken':
+      return ['swap'];
+    case 'tokenToMon':
+      return (await needsApproval(owner, tokenAddress, tokenAmount)) ? ['approve', 'swap'] : ['swap'];
+    case 'roundtrip':
+      return (await needsApproval(owner, tokenAddress)) ? ['swap', 'approve', 'swap'] : ['swap', 'swap'];
+    default:
+      throw new Error(`Unknown operation: ${type}`);
+  }
+}
+
+// MON an operation sells; roundtrips spend half their amount on the first leg
+function getMonValue(type, amount) {
+  if (type === 'monToToken') return amount;
+  if (type === 'roundtrip') return amount.div(2);
+  return ethers.constants.Zero;
+}
+
+// amount is the MON amount the operation is called with (unused for tokenToMon, which
+// sells tokenAmount). With minAmount set, an unaffordable amount is shrunk down to no
+// less than it; without it the operation is skipped. maxSpendPercent caps amount at that
+// share of the balance, so random amounts keep headroom for the later steps' gas.
+async function planOperation(owner, { type, tokenAddress, amount = ethers.constants.Zero, minAmount, tokenAmount, maxSpendPercent }) {
+  const steps = await getOperationSteps(owner, type, tokenAddress, tokenAmount);
+  const stepGas = await getOperationGas(owner, type, tokenAddress, amount, tokenAmount, steps);
+  const gasLimit = stepGas.reduce((total, gas) => total.add(scaleBigNumber(gas, config.gas.limitMultiplier)), ethers.constants.Zero);
+  const gasCost = (await getMaxGasPrice()).mul(gasLimit);
+  const balance = await provider.getBalance(owner);
+  const plan = { type, steps, amount, gasCost, balance, shrunk: false, skipped: false, reason: null };
+  
+  const spendCap = maxSpendPercent ? balance.mul(maxSpendPercent).div(100) : null;
+  const totalCost = getMonValue(type, amount).add(gasCost);
+  if (balance.gte(totalCost) && !(spendCap && amount.gt(spendCap))) {
+    return { ...plan, totalCost };
+  }
+  
+  const stepsText = steps.join(' + ');
+  const balanceText = `MON balance ${ethers.utils.formatEther(balance)}`;
+  const gasText = `up to ${ethers.utils.formatEther(gasCost)} MON gas for ${stepsText}`;
+  const available = balance.sub(gasCost);
+  if (type === 'tokenToMon' || available.lte(0)) {
+    return { ...plan, totalCost, skipped: true, reason: `${balanceText} doesn't cover ${gasText}` };
+  }
+  
+  const fitting = type === 'roundtrip' ? available.mul(2) : available;
+  const affordable = spendCap ? minBigNumber(fitting, spendCap) : fitting;
+  if (!minAmount || affordable.lt(minAmount)) {
+    const needed = `${ethers.utils.formatEther(minAmount || amount)} MON`;
+    return { ...plan, totalCost, skipped: true, reason: `${balanceText} can't cover ${needed} plus ${gasText}` };
+  }
+  
+  return {
+    ...plan,
+    amount: affordable,
+    totalCost: getMonValue(type, affordable).add(gasCost),
+    shrunk: true,
+    reason: `shrunk from ${ethers.utils.formatEther(amount)} to ${ethers.utils.formatEther(affordable)} MON so the ${balanceText} also covers ${gasText}${maxSpendPercent ? ` within ${maxSpendPercent}% of it` : ''}`
+  };
+}
+
+function reportPlan(plan) {
+  if (plan.skipped) {
+    console.log(chalk.red(`Pre-flight: skipping, ${plan.reason}`));
+  } else if (plan.shrunk) {
+    console.log(chalk.yellow(`Pre-flight: ${plan.reason}`));
+  } else {
+    console.log(`Pre-flight: ${ethers.utils.formatEther(plan.totalCost)} MON total (${plan.steps.join(' + ')}, gas included)`);
+  }
+}
+
+// Random utilities for automated swapping
+const randomUtils = {
+  // Get a random integer between min and max (inclusive)
+  getRandomInt: (min, max) => {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+  },
+  
+  // Get a random BigNumber amount between min and max (inclusive)
+  getRandomAmount: (min, max) => {
+    if (max.lte(min)) return min;
+    const range = max.sub(min).add(1);
+    return min.add(ethers.BigNumber.from(ethers.utils.randomBytes(32)).mod(range));
+  },
+  
+  // Sleep for a random amount of time between min and max milliseconds
+  sleep: async (minMs, maxMs) => {
+    const sleepTime = randomUtils.getRandomInt(minMs, maxMs);
+    console.log(`Waiting ${(sleepTime / 1000).toFixed(1)} seconds before next action...`);
+    return new Promise(resolve => setTimeout(resolve, sleepTime));
+  },
+  
+  // Select a random token from the available tokens
+  selectRandomToken: async () => {
+    const tokens = await getAllTokens();
+    const tokenSymbols = Object.keys(tokens);
+    const randomIndex = randomUtils.getRandomInt(0, tokenSymbols.length - 1);
+    const symbol = tokenSymbols[randomIndex];
+    return {
+      symbol,
+      address: tokens[symbol].address,
+      decimals: tokens[symbol].decimals
+    };
+  },
+  
+  // Shuffle an array (Fisher-Yates algorithm)
+  shuffleArray: (array) => {
+    const arrayCopy = [...array];
+    for (let i = arrayCopy.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [arrayCopy[i], arrayCopy[j]] = [arrayCopy[j], arrayCopy[i]];
+    }
+    return arrayCopy;
+  }
+};
+
+// Function to discover tokens on Monad Testnet
+async function discoverTokens() {
+  const spinner = createSpinner('Discovering tokens on Monad Testnet...');
+  
+  try {
+    // If we've already discovered tokens, return the cached list
+    if (Object.keys(discoveredTokens).length > 0) {
+      spinner.succeed(`Found ${Object.keys(discoveredTokens).length} tokens (cached)`);
+      return discoveredTokens;
+    }
+    
+    // First approach: Query the Monad Explorer API for tokens
+    try {
+      // This URL might need to be adjusted based on actual API endpoints
+      const response = await axios.get('https://testnet.monadexplorer.com/api/tokens', {
+        timeout: 5000 // 5 second timeout
+      });
+      
+      if (response.data && Array.isArray(response.data)) {
+        for (const token of response.data) {
+          if (token.address && token.symbol && token.decimals) {
+            discoveredTokens[token.symbol] = {
+              address: token.address,
+              decimals: parseInt(token.decimals)
+            };
+          }
+        }
+      }
+    } catch (error) {
+      console.log('Could not fetch tokens from explorer API, using alternative methods');
+    }
+    
+    // Second approach: tokens from pairs found by 'discover-pools'
+    discoveredTokens = { ...getSavedPoolTokens(), ...discoveredTokens };
+    
+    // Merge found tokens with our predefined list - these are known to exist
+    discoveredTokens = { ...TOKENS, ...discoveredTokens };
+    
+    spinner.succeed(`Found ${Object.keys(discoveredTokens).length} tokens`);
+    return discoveredTokens;
+  } catch (error) {
+    spinner.fail(`Error discovering tokens: ${error.message}`);
+    return TOKENS; // Fall back to predefined tokens
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Function to get all available tokens (both predefined and discovered)
+async function getAllTokens() {
+  // Start with our predefined tokens
+  let allTokens = { ...TOKENS };
+  
+  try {
+    // Add discovered tokens
+    const discovered = await discoverTokens();
+    allTokens = { ...allTokens, ...discovered };
+    
+    return allTokens;
+  } catch (error) {
+    console.error('Error getting all tokens:', error.message);
+    return allTokens; // Fall back to predefined tokens
+  }
+}
+
+// Add function to find token by address
+async function findTokenByAddress(address) {
+  const allTokens = await getAllTokens();
+  
+  for (const [symbol, data] of Object.entries(allTokens)) {
+    if (data.address.toLowerCase() === address.toLowerCase()) {
+      return {
+        symbol,
+        ...data
+      };
+    }
+  }
+  
+  // If not found, try to get info directly from contract
+  try {
+    const tokenContract = new ethers.Contract(address, ERC20_ABI, provider);
+    const symbol = await tokenContract.symbol();
+    const decimals = await tokenContract.decimals();
+    
+    return {
+      symbol,
+      address,
+      decimals
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Wallet manager
+// Private keys are stored as encrypted ethers JSON keystores, all protected by
+// one passphrase (MONAD_WALLET_PASSPHRASE or an interactive prompt).
+class WalletManager {
+  constructor(walletPath) {
+    this.walletPath = walletPath || path.join(process.cwd(), 'wallets.json');
+    this.wallets = {};
+    this.passphrase = process.env.MONAD_WALLET_PASSPHRASE || null;
+    this.unlockedWallets = {}; // Decrypted wallets, cached for this session only
+    this.groupsPath = path.join(path.dirname(this.walletPath), 'wallet-groups.json');
+    this.groups = {};
+    this.loadWallets();
+    this.loadGroups();
+  }
+
+  loadWallets() {
+    try {
+      if (fs.existsSync(this.walletPath)) {
+        const data = fs.readFileSync(this.walletPath, 'utf8');
+        this.wallets = JSON.parse(data);
+        console.log(`Loaded ${Object.keys(this.wallets).length} wallets from ${this.walletPath}`);
+        
+        const legacyWallets = this.getLegacyWallets();
+        if (legacyWallets.length > 0) {
+          console.log(chalk.yellow(`${legacyWallets.length} wallet(s) have no encrypted keystore (${legacyWallets.join(', ')}). Run 'wallet-migrate' to fix them.`));
+        }
+      } else {
+        console.log('No wallet file found. Creating a new one.');
+        this.saveWallets();
+      }
+    } catch (error) {
+      console.error('Error loading wallets:', error);
+      this.wallets = {};
+      this.saveWallets();
+    }
+  }
+
+  saveWallets() {
+    // Only encrypted keystores are written out. Plaintext keys from legacy files are
+    // kept as-is until 'wallet-migrate' encrypts them, so nothing is lost on save.
+    const safeWallets = Object.entries(this.wallets).reduce((acc, [name, wallet]) => {
+      acc[name] = {
+        address: wallet.address,
+      };
+      if (wallet.keystore) {
+        acc[name].keystore = wallet.keystore;
+      } else if (wallet.privateKey) {
+        acc[name].privateKey = wallet.privateKey;
+      }
+      return acc;
+    }, {});
+    
+    fs.writeFileSync(this.walletPath, JSON.stringify(safeWallets, null, 2), { mode: 0o600 });
+  }
+
+  // Wallets that were saved by older versions (address only) or hand-edited with a plaintext key
+  getLegacyWallets() {
+    return Object.entries(this.wallets)
+      .filter(([, data]) => !data.keystore)
+      .map(([name]) => name);
+  }
+
+  async getPassphrase() {
+    if (this.passphrase) return this.passphrase;
+    
+    const keystoreEntry = Object.values(this.wallets).find(data => data.keystore);
+    const questions = [
+      {
+        type: 'password',
+        name: 'passphrase',
+        message: keystoreEntry ? 'Enter wallet passphrase:' : 'Choose a passphrase to encrypt your wallets:',
+        mask: '*',
+        validate: (input) => input.length > 0 || 'Passphrase cannot be empty'
+      }
+    ];
+    if (!keystoreEntry) {
+      questions.push({
+        type: 'password',
+        name: 'confirmation',
+        message: 'Confirm passphrase:',
+        mask: '*'
+      });
+    }
+    
+    const answers = await inquirer.prompt(questions);
+    if (!keystoreEntry && answers.passphrase !== answers.confirmation) {
+      throw new Error('Passphrases do not match');
+    }
+    
+    // Check the passphrase against an existing keystore so all wallets share the same one
+    if (keystoreEntry) {
+      await ethers.Wallet.fromEncryptedJson(JSON.stringify(keystoreEntry.keystore), answers.passphrase);
+    }
+    
+    this.passphrase = answers.passphrase;
+    return this.passphrase;
+  }
+
+  async encryptPrivateKey(privateKey) {
+    const wallet = new ethers.Wallet(privateKey);
+    const passphrase = await this.getPassphrase();
+    const keystore = await wallet.encrypt(passphrase);
+    return {
+      address: wallet.address,
+      keystore: JSON.parse(keystore)
+    };
+  }
+
+  async addWallet(name, privateKey) {
+    let address;
+    try {
+      address = new ethers.Wallet(privateKey).address;
+    } catch (error) {
+      console.error('Invalid private key');
+      return null;
+    }
+    
+    try {
+      this.wallets[name] = await this.encryptPrivateKey(privateKey);
+      delete this.unlockedWallets[name];
+      this.saveWallets();
+      return address;
+    } catch (error) {
+      console.error(`Could not encrypt wallet: ${error.message}`);
+      return null;
+    }
+  }
+
+  async importWallets(filePath) {
+    try {
+      const data = fs.readFileSync(filePath, 'utf8');
+      const importedWallets = JSON.parse(data);
+      
+      let imported = 0;
+      for (const [name, data] of Object.entries(importedWallets)) {
+        if (data.privateKey && await this.addWallet(name, data.privateKey)) {
+          imported++;
+        }
+      }
+      
+      console.log(`Imported ${imported} wallets from ${filePath}`);
+    } catch (error) {
+      console.error('Error importing wallets:', error);
+    }
+  }
+
+  // Encrypt legacy entries: plaintext keys are encrypted directly, address-only
+  // entries need their private key re-entered (it must match the stored address)
+  async migrateWallets() {
+    const legacyWallets = this.getLegacyWallets();
+    if (legacyWallets.length === 0) {
+      console.log('All wallets already use encrypted keystores.');
+      return 0;
+    }
+    
+    let migrated = 0;
+    for (const name of legacyWallets) {
+      const entry = this.wallets[name];
+      let privateKey = entry.privateKey;
+      
+      if (!privateKey) {
+        const answers = await inquirer.prompt([
+          {
+            type: 'password',
+            name: 'privateKey',
+            message: `Enter the private key for ${name} (${entry.address}), or leave empty to skip:`
+          }
+        ]);
+        privateKey = answers.privateKey;
+        if (!privateKey) {
+          console.log(`Skipped ${name}`);
+          continue;
+        }
+      }
+      
+      try {
+        const encrypted = await this.encryptPrivateKey(privateKey);
+        if (entry.address && encrypted.address.toLowerCase() !== entry.address.toLowerCase()) {
+          console.error(`Private key for ${name} belongs to ${encrypted.address}, expected ${entry.address}. Skipped.`);
+          continue;
+        }
+        this.wallets[name] = encrypted;
+        this.saveWallets();
+        migrated++;
+        console.log(`Migrated ${name} (${encrypted.address})`);
+      } catch (error) {
+        console.error(`Could not migrate ${name}: ${error.message}`);
+      }
+    }
+    
+    console.log(`Migrated ${migrated} of ${legacyWallets.length} wallets`);
+    return migrated;
+  }
+
+  async getWallet(name) {
+    const entry = this.wallets[name];
+    if (!entry) {
+      console.error(`Wallet ${name} not found`);
+      return null;
+    }
+    
+    if (this.unlockedWallets[name]) {
+      return this.unlockedWallets[name];
+    }
+    
+    if (!entry.keystore) {
+      console.error(`Wallet ${name} has no encrypted keystore. Run 'wallet-migrate' first.`);
+      return null;
+    }
+    
+    try {
+      const passphrase = await this.getPassphrase();
+      const wallet = await ethers.Wallet.fromEncryptedJson(JSON.stringify(entry.keystore), passphrase);
+      this.unlockedWallets[name] = new ManagedWallet(wallet.privateKey, provider, name);
+      return this.unlockedWallets[name];
+    } catch (error) {
+      console.error(`Could not unlock wallet ${name}: ${error.message}`);
+      this.passphrase = null;
+      return null;
+    }
+  }
+
+  listWallets() {
+    return Object.entries(this.wallets).map(([name, data]) => ({
+      name,
+      address: data.address,
+      encrypted: Boolean(data.keystore)
+    }));
+  }
+
+  // Wallet groups are named lists of wallet names, saved next to the wallet file
+  loadGroups() {
+    try {
+      if (fs.existsSync(this.groupsPath)) {
+        this.groups = JSON.parse(fs.readFileSync(this.groupsPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error loading wallet groups: ${error.message}`);
+      this.groups = {};
+    }
+  }
+
+  saveGroups() {
+    fs.writeFileSync(this.groupsPath, JSON.stringify(this.groups, null, 2));
+  }
+
+  setGroup(name, walletNames) {
+    const unknown = walletNames.filter(walletName => !this.wallets[walletName]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown wallet(s): ${unknown.join(', ')}`);
+    }
+    
+    this.groups[name] = [...new Set(walletNames)];
+    this.saveGroups();
+  }
+
+  deleteGroup(name) {
+    if (!this.groups[name]) {
+      throw new Error(`Group ${name} not found`);
+    }
+    
+    delete this.groups[name];
+    this.saveGroups();
+  }
+
+  // Wallet names in a group, skipping any that have since been removed from the wallet file
+  getGroup(name) {
+    if (!this.groups[name]) return null;
+    return this.groups[name].filter(walletName => this.wallets[walletName]);
+  }
+
+  listGroups() {
+    return Object.keys(this.groups).map(name => ({ name, wallets: this.getGroup(name) }));
+  }
+}
+
+// Display wallet and token information before swaps
+async function displaySwapInfo(wallet, tokenAddress) {
+  console.log('\n=== Wallet & Token Information ===');
+  
+  try {
+    // Get MON balance
+    const monBalance = await provider.getBalance(wallet.address);
+    console.log(`MON Balance: ${ethers.utils.formatEther(monBalance)}`);
+    
+    // If token address is provided, get token info
+    if (tokenAddress) {
+      // Try to get token info - either from our list or directly from contract
+      const tokenInfo = await findTokenByAddress(tokenAddress);
+      
+      if (tokenInfo) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const balance = await token.balanceOf(wallet.address);
+        const tokenBalance = ethers.utils.formatUnits(balance, tokenInfo.decimals);
+        
+        console.log(`${tokenInfo.symbol} Balance: ${tokenBalance}`);
+        
+        // Get estimated price (token per MON) - wrap in try/catch as this might fail
+        try {
+          const monAmount = ethers.utils.parseEther('1');
+          let tokenOut;
+          if (config.swapBackend === 'ambient') {
+            tokenOut = await ambientEstimateOut(NATIVE_MON, tokenAddress, monAmount);
+          } else {
+            const path = [WRAPPED_MONAD, tokenAddress];
+            const amounts = await router.getAmountsOut(monAmount, path);
+            tokenOut = amounts[1];
+          }
+          const tokenPerMon = ethers.utils.formatUnits(tokenOut, tokenInfo.decimals);
+          
+          console.log(`Current Rate: 1 MON ≈ ${tokenPerMon} ${tokenInfo.symbol}`);
+        } catch (error) {
+          console.log('Price estimation unavailable (may be due to insufficient liquidity)');
+        }
+      } else {
+        console.log(`Token information unavailable for ${tokenAddress}`);
+      }
+    }
+    
+    console.log(`Gas Strategy: ${config.gas.strategy}${config.gas.maxFeeGwei ? ` (max ${config.gas.maxFeeGwei} gwei)` : ''}`);
+    console.log(`Max Fee: ${ethers.utils.formatUnits(await getMaxGasPrice(), 'gwei')} gwei`);
+    console.log(`Gas Limit: estimated per transaction × ${config.gas.limitMultiplier}`);
+    console.log('=================================\n');
+  } catch (error) {
+    console.error('Error displaying swap info:', error.message);
+  }
+}
+
+// The router swap paths and addLiquidity need a deployed router. Returns a named error
+// when it is missing or can't be checked, otherwise null.
+async function checkRouterDeployed() {
+  try {
+    const code = await provider.getCode(AMBIENT_ROUTER);
+    if (code === '0x' || code === '0x0') {
+      return new SwapError(`Router contract not deployed at ${AMBIENT_ROUTER}`);
+    }
+    return null;
+  } catch (error) {
+    return new RpcError(`Could not check router contract: ${error.message}`, error);
+  }
+}
+
+// Swap functions
+async function swapMonForToken(wallet, tokenAddress, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenAddress]);
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  // Display swap info first
+  await displaySwapInfo(wallet, tokenAddress);
+  
+  if (config.swapBackend === 'ambient') {
+    return await ambientSwap(wallet, NATIVE_MON, tokenAddress, amount, slippageBps);
+  }
+  
+  const routerError = await checkRouterDeployed();
+  if (routerError) {
+    applyFailurePolicy(routerError, 'sending MON straight to the token contract');
+    return await directSwap(wallet, tokenAddress, amount, true);
+  }
+  
+  const spinner = createSpinner('Preparing swap from MON to token...');
+  
+  try {
+    // Normal router swap
+    // Calculate path and amounts
+    let path = [WRAPPED_MONAD, tokenAddress]; // Default path if no better route is found
+    const amountIn = await resolveAmount(amount, 18, () => getSpendableBalance(wallet.address, NATIVE_MON));
+    
+    // Get expected output amount with fallback for price queries
+    let amountOutMin;
+    let quotedOut = null;
+    try {
+      const route = await findBestRoute(path[0], path[path.length - 1], amountIn);
+      if (!route) throw new Error('No route found');
+      path = route.path;
+      quotedOut = route.amountOut;
+      console.log(`Route: ${await formatRoute(path)}`);
+      await reportRouterPriceImpact(amountIn, path, route.amountOut);
+      amountOutMin = minWithSlippage(route.amountOut, slippageBps);
+    } catch (error) {
+      // Without a quote there is no slippage protection, so this is a fallback too
+      applyFailurePolicy(error, 'swapping with a minimum output of 1 wei');
+      enforceSlippagePolicy(wallet, BPS); // No minimum output is 100% slippage
+      amountOutMin = 1; // Nearly zero but not zero
+    }
+    
+    // Prepare transaction
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    
+    // Transfer-taxed tokens need the SupportingFeeOnTransferTokens variant
+    spinner.text = 'Simulating swap...';
+    const transferFee = await detectFeeOnTransfer(wallet, 'ethForTokens', amountIn, path, quotedOut);
+    if (transferFee.feeOnTransfer) {
+      console.log(chalk.yellow('Fee-on-transfer token detected, using the fee-supporting router variant'));
+      if (transferFee.expectedOut) {
+        amountOutMin = minWithSlippage(transferFee.expectedOut, slippageBps);
+      }
+    }
+    
+    spinner.text = 'Swapping MON for token...';
+    
+    // Send transaction
+    const swapCall = buildRouterSwapCall('ethForTokens', transferFee.feeOnTransfer, amountIn, amountOutMin, path, wallet.address, deadline);
+    const balanceBefore = await getAssetBalance(wallet.address, tokenAddress);
+    const tx = await router.connect(wallet)[swapCall.method](...swapCall.args, {
+      value: swapCall.value
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    const received = await getReceivedAmount(wallet.address, tokenAddress, balanceBefore, receipt);
+    spinner.succeed(`Swap completed! Received ${ethers.utils.formatUnits(received, await getTokenDecimals(tokenAddress))} ${await getTokenSymbol(tokenAddress)}. Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    const swapError = classifySwapError(error);
+    spinner.fail(`Swap failed (${swapError.name}): ${swapError.message}`);
+    applyFailurePolicy(swapError, 'sending MON straight to the token contract');
+    try {
+      return await directSwap(wallet, tokenAddress, amount, true);
+    } catch (fallbackError) {
+      console.error(`Fallback also failed: ${fallbackError.message}`);
+      throw swapError; // Throw the original error
+    }
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+async function swapTokenForMon(wallet, tokenAddress, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenAddress]);
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  // Display swap info first
+  await displaySwapInfo(wallet, tokenAddress);
+  
+  if (config.swapBackend === 'ambient') {
+    return await ambientSwap(wallet, tokenAddress, NATIVE_MON, amount, slippageBps);
+  }
+  
+  const routerError = await checkRouterDeployed();
+  if (routerError) {
+    applyFailurePolicy(routerError, 'sending the tokens back to this wallet');
+    return await directSwap(wallet, tokenAddress, amount, false);
+  }
+  
+  const spinner = createSpinner('Preparing swap from token to MON...');
+  
+  try {
+    // Get token details
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const decimals = await token.decimals();
+    
+    // Calculate amounts - ensure we respect token decimals
+    const amountIn = await resolveAmount(amount, decimals, () => getSpendableBalance(wallet.address, tokenAddress));
+    let path = [tokenAddress, WRAPPED_MONAD]; // Default path if no better route is found
+    
+    await ensureAllowance(wallet, tokenAddress, AMBIENT_ROUTER, amountIn, spinner, 'swap');
+    
+    // Get expected output amount with fallback for price queries
+    let amountOutMin;
+    let quotedOut = null;
+    try {
+      const route = await findBestRoute(path[0], path[path.length - 1], amountIn);
+      if (!route) throw new Error('No route found');
+      path = route.path;
+      quotedOut = route.amountOut;
+      console.log(`Route: ${await formatRoute(path)}`);
+      await reportRouterPriceImpact(amountIn, path, route.amountOut);
+      amountOutMin = minWithSlippage(route.amountOut, slippageBps);
+    } catch (error) {
+      // Without a quote there is no slippage protection, so this is a fallback too
+      applyFailurePolicy(error, 'swapping with a minimum output of 1 wei');
+      enforceSlippagePolicy(wallet, BPS); // No minimum output is 100% slippage
+      amountOutMin = 1; // Nearly zero but not zero
+    }
+    
+    // Prepare transaction
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    
+    // Transfer-taxed tokens need the SupportingFeeOnTransferTokens variant
+    spinner.text = 'Simulating swap...';
+    const transferFee = await detectFeeOnTransfer(wallet, 'tokensForEth', amountIn, path, quotedOut);
+    if (transferFee.feeOnTransfer) {
+      console.log(chalk.yellow('Fee-on-transfer token detected, using the fee-supporting router variant'));
+      if (transferFee.expectedOut) {
+        amountOutMin = minWithSlippage(transferFee.expectedOut, slippageBps);
+      }
+    }
+    
+    spinner.text = 'Swapping token for MON...';
+    
+    // Send transaction
+    const swapCall = buildRouterSwapCall('tokensForEth', transferFee.feeOnTransfer, amountIn, amountOutMin, path, wallet.address, deadline);
+    const balanceBefore = await getAssetBalance(wallet.address, NATIVE_MON);
+    const tx = await router.connect(wallet)[swapCall.method](...swapCall.args, {
+      value: swapCall.value
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    const received = await getReceivedAmount(wallet.address, NATIVE_MON, balanceBefore, receipt);
+    spinner.succeed(`Swap completed! Received ${ethers.utils.formatUnits(received, await getTokenDecimals(NATIVE_MON))} ${await getTokenSymbol(NATIVE_MON)}. Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    const swapError = classifySwapError(error);
+    spinner.fail(`Swap failed (${swapError.name}): ${swapError.message}`);
+    applyFailurePolicy(swapError, 'sending the tokens back to this wallet');
+    try {
+      return await directSwap(wallet, tokenAddress, amount, false);
+    } catch (fallbackError) {
+      console.error(`Fallback also failed: ${fallbackError.message}`);
+      throw swapError; // Throw the original error
+    }
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+async function swapTokenForToken(wallet, tokenInAddress, tokenOutAddress, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenInAddress, tokenOutAddress]);
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  // Display swap info for both tokens
+  await displaySwapInfo(wallet, tokenInAddress);
+  await displaySwapInfo(wallet, tokenOutAddress);
+  
+  if (config.swapBackend === 'ambient') {
+    return await ambientSwapTokenForToken(wallet, tokenInAddress, tokenOutAddress, amount, slippageBps);
+  }
+  
+  const decimals = await getTokenDecimals(tokenInAddress);
+  const amountIn = await resolveAmount(amount, decimals, () => getSpendableBalance(wallet.address, tokenInAddress));
+  
+  const routerError = await checkRouterDeployed();
+  if (routerError) {
+    applyFailurePolicy(routerError, 'sending the input tokens back to this wallet and MON to the output token contract');
+    // For token-to-token direct swap, we'll perform two operations:
+    // 1. First "swap" tokenIn using direct transfer
+    const hash1 = await directSwap(wallet, tokenInAddress, amountIn, false);
+    // 2. Then simulate getting tokenOut by sending MON worth half the input's face value
+    const hash2 = await directSwap(wallet, tokenOutAddress, ethers.utils.parseEther(ethers.utils.formatUnits(amountIn.div(2), decimals)), true);
+    return [hash1, hash2];
+  }
+  
+  const spinner = createSpinner('Preparing swap from token to token...');
+  
+  try {
+    let path = [tokenInAddress, WRAPPED_MONAD, tokenOutAddress]; // Default path if no better route is found
+    
+    await ensureAllowance(wallet, tokenInAddress, AMBIENT_ROUTER, amountIn, spinner, 'swap');
+    
+    // Get expected output amount with fallback for price queries
+    let amountOutMin;
+    let quotedOut = null;
+    try {
+      const route = await findBestRoute(path[0], path[path.length - 1], amountIn);
+      if (!route) throw new Error('No route found');
+      path = route.path;
+      quotedOut = route.amountOut;
+      console.log(`Route: ${await formatRoute(path)}`);
+      await reportRouterPriceImpact(amountIn, path, route.amountOut);
+      amountOutMin = minWithSlippage(route.amountOut, slippageBps);
+    } catch (error) {
+      // Without a quote there is no slippage protection, so this is a fallback too
+      applyFailurePolicy(error, 'swapping with a minimum output of 1 wei');
+      enforceSlippagePolicy(wallet, BPS); // No minimum output is 100% slippage
+      amountOutMin = 1; // Nearly zero but not zero
+    }
+    
+    // Prepare transaction
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    
+    // Transfer-taxed tokens need the SupportingFeeOnTransferTokens variant
+    spinner.text = 'Simulating swap...';
+    const transferFee = await detectFeeOnTransfer(wallet, 'tokensForTokens', amountIn, path, quotedOut);
+    if (transferFee.feeOnTransfer) {
+      console.log(chalk.yellow('Fee-on-transfer token detected, using the fee-supporting router variant'));
+      if (transferFee.expectedOut) {
+        amountOutMin = minWithSlippage(transferFee.expectedOut, slippageBps);
+      }
+    }
+    
+    spinner.text = 'Swapping token for token...';
+    
+    // Send transaction
+    const swapCall = buildRouterSwapCall('tokensForTokens', transferFee.feeOnTransfer, amountIn, amountOutMin, path, wallet.address, deadline);
+    const balanceBefore = await getAssetBalance(wallet.address, tokenOutAddress);
+    const tx = await router.connect(wallet)[swapCall.method](...swapCall.args, {
+      value: swapCall.value
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    const received = await getReceivedAmount(wallet.address, tokenOutAddress, balanceBefore, receipt);
+    spinner.succeed(`Swap completed! Received ${ethers.utils.formatUnits(received, await getTokenDecimals(tokenOutAddress))} ${await getTokenSymbol(tokenOutAddress)}. Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    const swapError = classifySwapError(error);
+    spinner.fail(`Swap failed (${swapError.name}): ${swapError.message}`);
+    applyFailurePolicy(swapError, 'selling half the input for MON, then buying the output with 30% of the MON balance');
+    try {
+      // Perform token-to-MON and then MON-to-token as separate operations
+      const hash1 = await swapTokenForMon(wallet, tokenInAddress, amountIn.div(2), slippageBps);
+      
+      // Get updated MON balance
+      const monBalance = await provider.getBalance(wallet.address);
+      const monAmount = monBalance.mul(30).div(100); // Use 30% of balance
+      
+      const hash2 = await swapMonForToken(wallet, tokenOutAddress, monAmount, slippageBps);
+      return [recordFallback(hash1), recordFallback(hash2)];
+    } catch (fallbackError) {
+      console.error(`Fallback swaps also failed: ${fallbackError.message}`);
+      throw swapError; // Throw the original error
+    }
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Exact-output swaps - receive a fixed amount, paying at most the quoted input plus slippage
+async function findBestExactOutputRoute(tokenIn, tokenOut, amountOut, maxHops = MAX_ROUTE_HOPS) {
+  const graph = await getPairGraph();
+  let best = null;
+  
+  for (const path of enumeratePaths(graph, tokenIn, tokenOut, maxHops)) {
+    try {
+      const amounts = await router.getAmountsIn(amountOut, path);
+      const amountIn = amounts[0];
+      if (!best || amountIn.lt(best.amountIn)) {
+        best = { path, amounts, amountIn };
+      }
+    } catch (error) {
+      // Path has a pair without enough liquidity
+    }
+  }
+  
+  return best;
+}
+
+// Router exact-output swap; tokenIn or tokenOut may be NATIVE_MON
+async function routerSwapExactOut(wallet, tokenIn, tokenOut, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenIn, tokenOut]);
+  const spinner = createSpinner('Preparing exact-output swap...');
+  
+  try {
+    const pathIn = tokenIn === NATIVE_MON ? WRAPPED_MONAD : tokenIn;
+    const pathOut = tokenOut === NATIVE_MON ? WRAPPED_MONAD : tokenOut;
+    const [inDecimals, outDecimals] = await Promise.all([getTokenDecimals(tokenIn), getTokenDecimals(tokenOut)]);
+    const exactOut = await resolveAmount(amountOut, outDecimals);
+    
+    // Unlike exact-input swaps there is no safe minimum to fall back to: without a
+    // quote we can't bound the input, so refuse instead
+    const route = await findBestExactOutputRoute(pathIn, pathOut, exactOut);
+    if (!route) {
+      throw new Error('No router path can provide the requested output');
+    }
+    const maxIn = maxWithSlippage(route.amountIn, slippageBps);
+    
+    spinner.stop();
+    console.log(`Route: ${await formatRoute(route.path)}`);
+    console.log(`Expected Input: ${ethers.utils.formatUnits(route.amountIn, inDecimals)} ${await getTokenSymbol(tokenIn)}`);
+    console.log(`Maximum Input (${formatBps(slippageBps)} slippage): ${ethers.utils.formatUnits(maxIn, inDecimals)}`);
+    spinner.start();
+    
+    await ensureAllowance(wallet, tokenIn, AMBIENT_ROUTER, maxIn, spinner, 'swap');
+    
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    const overrides = {};
+    
+    spinner.text = 'Swapping for exact output...';
+    
+    const balanceBefore = await getAssetBalance(wallet.address, tokenOut);
+    let tx;
+    if (tokenIn === NATIVE_MON) {
+      // The router refunds whatever part of the MON sent isn't needed
+      tx = await router.connect(wallet).swapETHForExactTokens(exactOut, route.path, wallet.address, deadline, {
+        ...overrides,
+        value: maxIn
+      });
+    } else if (tokenOut === NATIVE_MON) {
+      tx = await router.connect(wallet).swapTokensForExactETH(exactOut, maxIn, route.path, wallet.address, deadline, overrides);
+    } else {
+      tx = await router.connect(wallet).swapTokensForExactTokens(exactOut, maxIn, route.path, wallet.address, deadline, overrides);
+    }
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    const received = await getReceivedAmount(wallet.address, tokenOut, balanceBefore, receipt);
+    spinner.succeed(`Swap completed! Received ${ethers.utils.formatUnits(received, outDecimals)} ${await getTokenSymbol(tokenOut)}. Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    const swapError = classifySwapError(error);
+    spinner.fail(`Swap failed (${swapError.name}): ${swapError.message}`);
+    throw swapError;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+async function swapMonForExactToken(wallet, tokenAddress, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  await displaySwapInfo(wallet, tokenAddress);
+  
+  if (config.swapBackend === 'ambient') {
+    return await ambientSwapExactOut(wallet, NATIVE_MON, tokenAddress, amountOut, slippageBps);
+  }
+  return await routerSwapExactOut(wallet, NATIVE_MON, tokenAddress, amountOut, slippageBps);
+}
+
+async function swapTokenForExactMon(wallet, tokenAddress, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  await displaySwapInfo(wallet, tokenAddress);
+  
+  if (config.swapBackend === 'ambient') {
+    return await ambientSwapExactOut(wallet, tokenAddress, NATIVE_MON, amountOut, slippageBps);
+  }
+  return await routerSwapExactOut(wallet, tokenAddress, NATIVE_MON, amountOut, slippageBps);
+}
+
+async function swapTokenForExactToken(wallet, tokenInAddress, tokenOutAddress, amountOut, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  await displaySwapInfo(wallet, tokenInAddress);
+  await displaySwapInfo(wallet, tokenOutAddress);
+  
+  if (config.swapBackend === 'ambient') {
+    return await ambientSwapTokenForExactToken(wallet, tokenInAddress, tokenOutAddress, amountOut, slippageBps);
+  }
+  return await routerSwapExactOut(wallet, tokenInAddress, tokenOutAddress, amountOut, slippageBps);
+}
+
+// Prompt flow for exact-output swaps, shared by the swap commands (--exact-out)
+// and the interactive swap menu
+async function promptExactOutputSwap(direction, walletChoices, tokenChoices) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Select a wallet:',
+      choices: walletChoices
+    },
+    {
+      type: 'list',
+      name: 'tokenInAddress',
+      message: 'Select token to swap from:',
+      choices: tokenChoices,
+      when: () => direction !== 'monToToken'
+    },
+    {
+      type: 'list',
+      name: 'tokenOutAddress',
+      message: direction === 'monToToken' ? 'Select a token to buy:' : 'Select token to swap to:',
+      choices: tokenChoices,
+      when: () => direction !== 'tokenToMon'
+    },
+    {
+      type: 'input',
+      name: 'amountOut',
+      message: direction === 'tokenToMon' ? 'Enter exact amount of MON to receive:' : 'Enter exact amount of token to receive:',
+      validate: validateExactAmountInput
+    },
+    {
+      type: 'input',
+      name: 'slippage',
+      message: 'Enter maximum input slippage (%):',
+      default: '5',
+      validate: validatePercentInput
+    }
+  ]);
+  
+  const wallet = await walletManager.getWallet(answers.walletName);
+  if (!wallet) return;
+  
+  if (direction === 'monToToken') {
+    await swapMonForExactToken(wallet, answers.tokenOutAddress, answers.amountOut, parseBps(answers.slippage));
+  } else if (direction === 'tokenToMon') {
+    await swapTokenForExactMon(wallet, answers.tokenInAddress, answers.amountOut, parseBps(answers.slippage));
+  } else {
+    await swapTokenForExactToken(wallet, answers.tokenInAddress, answers.tokenOutAddress, answers.amountOut, parseBps(answers.slippage));
+  }
+}
+
+// Add liquidity functions
+async function addLiquidity(wallet, tokenAddress, tokenAmount, monAmount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [tokenAddress]);
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  // Display info first
+  await displaySwapInfo(wallet, tokenAddress);
+  
+  const spinner = createSpinner('Preparing to add liquidity...');
+  
+  try {
+    const routerError = await checkRouterDeployed();
+    if (routerError) {
+      applyFailurePolicy(routerError, 'transferring the token and MON straight to the router address, which adds no liquidity');
+      // Simulate liquidity provision with direct transfers
+      spinner.text = 'Simulating liquidity provision with direct transfers...';
+      
+      // 1. Transfer tokens to the router (or any address as a simulation)
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+      const tokenDecimals = await tokenContract.decimals();
+      const tokenAmountInWei = await resolveAmount(tokenAmount, tokenDecimals, () => getSpendableBalance(wallet.address, tokenAddress));
+      
+      // Approve transfer first
+      const approveTx = await tokenContract.approve(
+        AMBIENT_ROUTER,
+        tokenAmountInWei
+      );
+      await confirmTransaction(approveTx);
+      
+      // Now transfer the tokens
+      const tokenTx = await tokenContract.transfer(
+        AMBIENT_ROUTER,
+        tokenAmountInWei
+      );
+      await confirmTransaction(tokenTx);
+      
+      // 2. Transfer MON
+      const monTx = await wallet.sendTransaction({
+        to: AMBIENT_ROUTER,
+        value: await resolveAmount(monAmount, 18, () => getSpendableBalance(wallet.address, NATIVE_MON))
+      });
+      await confirmTransaction(monTx);
+      
+      spinner.warn(`Fallback transfers completed (no liquidity added): Token TX: ${tokenTx.hash}, MON TX: ${monTx.hash}`);
+      return [recordFallback(tokenTx.hash), recordFallback(monTx.hash)];
+    }
+    
+    // Get token details
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const decimals = await token.decimals();
+    
+    // Calculate amounts
+    const tokenAmountIn = await resolveAmount(tokenAmount, decimals, () => getSpendableBalance(wallet.address, tokenAddress));
+    const monAmountIn = await resolveAmount(monAmount, 18, () => getSpendableBalance(wallet.address, NATIVE_MON));
+    
+    // Calculate min amounts with slippage
+    const tokenAmountMin = minWithSlippage(tokenAmountIn, slippageBps);
+    const monAmountMin = minWithSlippage(monAmountIn, slippageBps);
+    
+    await ensureAllowance(wallet, tokenAddress, AMBIENT_ROUTER, tokenAmountIn, spinner, 'liquidity');
+    
+    // Prepare transaction
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    
+    spinner.text = 'Adding liquidity...';
+    
+    // Send transaction
+    const tx = await router.connect(wallet).addLiquidityETH(
+      tokenAddress,
+      tokenAmountIn,
+      tokenAmountMin,
+      monAmountMin,
+      wallet.address,
+      deadline,
+      {
+        value: monAmountIn
+      }
+    );
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    await confirmTransaction(tx);
+    
+    spinner.succeed(`Liquidity added! Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    const swapError = classifySwapError(error);
+    spinner.fail(`Failed to add liquidity (${swapError.name}): ${swapError.message}`);
+    throw swapError;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Route finding - every router pair between known tokens is a graph edge, and each
+// candidate path of up to 3 hops is priced with getAmountsOut
+const MAX_ROUTE_HOPS = 3;
+let pairGraphCache = null;
+
+async function getPairGraph() {
+  if (pairGraphCache) return pairGraphCache;
+  
+  const graph = {};
+  const addEdge = (from, to) => {
+    const key = from.address.toLowerCase();
+    graph[key] = graph[key] || { address: from.address, neighbours: [] };
+    graph[key].neighbours.push(to.address);
+  };
+  for (const pair of await getKnownPairs()) {
+    addEdge(pair.tokenA, pair.tokenB);
+    addEdge(pair.tokenB, pair.tokenA);
+  }
+  
+  pairGraphCache = graph;
+  return graph;
+}
+
+// All simple paths from tokenIn to tokenOut using at most maxHops pairs
+function enumeratePaths(graph, tokenIn, tokenOut, maxHops) {
+  const paths = [];
+  const target = tokenOut.toLowerCase();
+  
+  const walk = (path) => {
+    const current = path[path.length - 1];
+    if (current.toLowerCase() === target) {
+      paths.push(path);
+      return;
+    }
+    if (path.length > maxHops) return;
+    
+    const node = graph[current.toLowerCase()];
+    if (!node) return;
+    for (const next of node.neighbours) {
+      if (!path.some(address => address.toLowerCase() === next.toLowerCase())) {
+        walk([...path, next]);
+      }
+    }
+  };
+  
+  walk([tokenIn]);
+  return paths;
+}
+
+// Best output route for amountIn, or null when no path can be priced
+async function findBestRoute(tokenIn, tokenOut, amountIn, maxHops = MAX_ROUTE_HOPS) {
+  const graph = await getPairGraph();
+  let best = null;
+  
+  for (const path of enumeratePaths(graph, tokenIn, tokenOut, maxHops)) {
+    try {
+      const amounts = await router.getAmountsOut(amountIn, path);
+      const amountOut = amounts[amounts.length - 1];
+      if (!best || amountOut.gt(best.amountOut)) {
+        best = { path, amounts, amountOut };
+      }
+    } catch (error) {
+      // Path has a pair without enough liquidity
+    }
+  }
+  
+  return best;
+}
+
+async function formatRoute(path) {
+  const symbols = [];
+  for (const address of path) {
+    symbols.push(address.toLowerCase() === WRAPPED_MONAD.toLowerCase() ? 'WMON' : await getTokenSymbol(address));
+  }
+  return symbols.join(' → ');
+}
+
+// Quotes - read-only estimates for the configured backend, nothing is signed
+
+// Accepts MON, a symbol from getAllTokens() (case-insensitive) or a raw token address
+async function resolveToken(input) {
+  if (input.toUpperCase() === 'MON') {
+    return { symbol: 'MON', address: NATIVE_MON, decimals: 18, isNative: true };
+  }
+  
+  if (ethers.utils.isAddress(input)) {
+    const tokenInfo = await findTokenByAddress(ethers.utils.getAddress(input));
+    if (!tokenInfo) {
+      throw new Error(`${input} is not an ERC20 token`);
+    }
+    return { ...tokenInfo, address: ethers.utils.getAddress(input), isNative: false };
+  }
+  
+  const tokens = await getAllTokens();
+  const symbol = Object.keys(tokens).find(s => s.toUpperCase() === input.toUpperCase());
+  if (!symbol) {
+    throw new Error(`Unknown token: ${input}`);
+  }
+  return { symbol, ...tokens[symbol], isNative: false };
+}
+
+async function getSwapQuote(tokenIn, tokenOut, amountIn, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  let route;
+  let amountOut;
+  let impactBps;
+  let gasLimit;
+  
+  if (config.swapBackend === 'ambient') {
+    const { base, quote } = getAmbientPair(tokenIn.address, tokenOut.address);
+    const directPrice = await crocQuery.queryPrice(base, quote, AMBIENT_POOL_INDEX);
+    
+    if (!directPrice.isZero() || tokenIn.isNative || tokenOut.isNative) {
+      const estimate = await estimateAmbientPriceImpact(tokenIn.address, tokenOut.address, amountIn);
+      route = [tokenIn.address, tokenOut.address];
+      amountOut = estimate.expectedOut;
+      impactBps = estimate.impactBps;
+      gasLimit = GAS_LIMIT * 2;
+    } else {
+      // Same two legs through MON that ambientSwapTokenForToken would take
+      const firstLeg = await estimateAmbientPriceImpact(tokenIn.address, NATIVE_MON, amountIn);
+      const secondLeg = await estimateAmbientPriceImpact(NATIVE_MON, tokenOut.address, firstLeg.expectedOut);
+      route = [tokenIn.address, NATIVE_MON, tokenOut.address];
+      amountOut = secondLeg.expectedOut;
+      impactBps = 10000 - Math.round((10000 - firstLeg.impactBps) * (10000 - secondLeg.impactBps) / 10000);
+      gasLimit = GAS_LIMIT * 4;
+    }
+  } else {
+    const pathIn = tokenIn.isNative ? WRAPPED_MONAD : tokenIn.address;
+    const pathOut = tokenOut.isNative ? WRAPPED_MONAD : tokenOut.address;
+    const best = await findBestRoute(pathIn, pathOut, amountIn);
+    if (!best) {
+      throw new Error('No router path with enough liquidity');
+    }
+    route = best.path;
+    amountOut = best.amountOut;
+    impactBps = await estimateRouterPriceImpact(amountIn, route, amountOut);
+    gasLimit = GAS_LIMIT;
+  }
+  
+  // Selling a token may need an approval first
+  if (!tokenIn.isNative) {
+    gasLimit += APPROVE_GAS_LIMIT;
+  }
+  
+  return {
+    route,
+    amountOut,
+    minOut: minWithSlippage(amountOut, slippageBps),
+    impactBps,
+    gasLimit,
+    gasCost: (await getMaxGasPrice()).mul(gasLimit)
+  };
+}
+
+async function displayQuote(tokenIn, tokenOut, amountIn, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  const spinner = createSpinner('Fetching quote...');
+  
+  try {
+    const quote = await getSwapQuote(tokenIn, tokenOut, amountIn, slippageBps);
+    spinner.stop();
+    
+    const routeText = config.swapBackend === 'ambient'
+      ? (await Promise.all(quote.route.map(getTokenSymbol))).join(' → ')
+      : await formatRoute(quote.route);
+    
+    console.log('\n=== Swap Quote ===');
+    console.log(`Backend: ${config.swapBackend}`);
+    console.log(`Route: ${routeText}`);
+    console.log(`Amount In: ${ethers.utils.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol}`);
+    console.log(`Expected Output: ${ethers.utils.formatUnits(quote.amountOut, tokenOut.decimals)} ${tokenOut.symbol}`);
+    console.log(`Minimum Output (${formatBps(slippageBps)} slippage): ${ethers.utils.formatUnits(quote.minOut, tokenOut.decimals)} ${tokenOut.symbol}`);
+    console.log(formatPriceImpact(quote.impactBps));
+    console.log(`Estimated Gas: ${quote.gasLimit} units ≈ ${ethers.utils.formatEther(quote.gasCost)} MON${tokenIn.isNative ? '' : ' (includes a possible approval)'}`);
+    console.log('==================\n');
+    
+    return quote;
+  } catch (error) {
+    spinner.fail(`Quote failed: ${error.message}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Pair discovery - walks the factory's allPairs list and caches the result in pairs.json
+const PAIRS_PATH = path.join(process.cwd(), 'pairs.json');
+
+// unresolved lists pairs whose tokens aren't readable ERC20s, so a resumed walk skips them
+function loadPairsFile() {
+  try {
+    if (fs.existsSync(PAIRS_PATH)) {
+      const saved = JSON.parse(fs.readFileSync(PAIRS_PATH, 'utf8'));
+      return { pairs: saved.pairs || [], unresolved: saved.unresolved || [] };
+    }
+  } catch (error) {
+    console.error(`Error loading ${PAIRS_PATH}: ${error.message}`);
+  }
+  return { pairs: [], unresolved: [] };
+}
+
+function loadSavedPairs() {
+  return loadPairsFile().pairs;
+}
+
+// Tokens seen in saved pairs, keyed by symbol like TOKENS. Symbols that clash with a
+// different token get a short address suffix.
+function getSavedPoolTokens() {
+  const known = { ...TOKENS };
+  const found = {};
+  
+  for (const pair of loadSavedPairs()) {
+    for (const token of [pair.token0, pair.token1]) {
+      const address = token.address.toLowerCase();
+      if (address === WRAPPED_MONAD.toLowerCase()) continue;
+      if (Object.values({ ...known, ...found }).some(t => t.address.toLowerCase() === address)) continue;
+      
+      const symbol = known[token.symbol] || found[token.symbol]
+        ? `${token.symbol}-${token.address.slice(2, 6)}`
+        : token.symbol;
+      found[symbol] = { address: token.address, decimals: token.decimals };
+    }
+  }
+  
+  return found;
+}
+
+async function resolveTokenMetadata(address, cache) {
+  const key = address.toLowerCase();
+  if (!cache[key]) {
+    const token = new ethers.Contract(address, ERC20_ABI, provider);
+    const decimals = await token.decimals();
+    // Some tokens return bytes32 or nothing for symbol(); fall back to the address
+    const symbol = await token.symbol().catch(() => `${address.slice(0, 8)}...`);
+    cache[key] = { symbol, address, decimals };
+  }
+  return cache[key];
+}
+
+// Walk factory.allPairs, resuming after the pairs already saved (the list is append-only)
+async function discoverPools() {
+  const spinner = createSpinner('Reading factory pair count...');
+  
+  try {
+    const { pairs, unresolved } = loadPairsFile();
+    const total = (await factory.allPairsLength()).toNumber();
+    const metadataCache = {};
+    const skippedBefore = unresolved.length;
+    let failed = 0;
+    
+    // Every index ends up in exactly one of the two lists
+    for (let i = pairs.length + unresolved.length; i < total; i++) {
+      spinner.text = `Resolving pair ${i + 1}/${total}...`;
+      let pairAddress = null;
+      try {
+        pairAddress = await factory.allPairs(i);
+        const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+        const [token0, token1] = await Promise.all([pairContract.token0(), pairContract.token1()]);
+        pairs.push({
+          pairAddress,
+          token0: await resolveTokenMetadata(token0, metadataCache),
+          token1: await resolveTokenMetadata(token1, metadataCache)
+        });
+      } catch (error) {
+        // A node problem stops here so the next run resumes from this index. A pair that
+        // reverts (a token without decimals(), or not an ERC20 at all) would revert again,
+        // so it is recorded and skipped.
+        if (!pairAddress || RPC_ERROR_CODES.includes(error.code)) {
+          failed = total - i;
+          break;
+        }
+        unresolved.push({ index: i, pairAddress, error: getRevertReason(error) });
+      }
+    }
+    
+    fs.writeFileSync(PAIRS_PATH, JSON.stringify({ updated: new Date().toISOString(), pairs, unresolved }, null, 2));
+    
+    // Feed new tokens into getAllTokens() and rebuild the route graph
+    discoveredTokens = { ...discoveredTokens, ...getSavedPoolTokens() };
+    pairGraphCache = null;
+    
+    if (failed > 0) {
+      spinner.warn(`Saved ${pairs.length} of ${total} pairs to ${PAIRS_PATH}; run again to resolve the remaining ${failed}`);
+    } else {
+      spinner.succeed(`Saved ${pairs.length} pairs to ${PAIRS_PATH}`);
+    }
+    if (unresolved.length > skippedBefore) {
+      console.log(chalk.yellow(`Skipped ${unresolved.length - skippedBefore} pair(s) whose tokens couldn't be read; they are listed under "unresolved" in ${PAIRS_PATH}`));
+    }
+    return pairs;
+  } catch (error) {
+    spinner.fail(`Error discovering pools: ${error.message}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+function displayPools(pairs) {
+  console.log('\nDiscovered Pools:');
+  for (const pair of pairs) {
+    console.log(`${pair.token0.symbol}/${pair.token1.symbol}: ${pair.pairAddress}`);
+  }
+}
+
+// Router LP positions - pairs come from the factory, holdings are the pair's LP token.
+// Uses the pairs saved by 'discover-pools' when available, otherwise asks the factory
+// about every combination of known tokens.
+async function getKnownPairs() {
+  const savedPairs = loadSavedPairs();
+  if (savedPairs.length > 0) {
+    return savedPairs.map(pair => {
+      // MON pairs always list WMON first so liquidity removal can pay out native MON
+      const [tokenA, tokenB] = pair.token1.address.toLowerCase() === WRAPPED_MONAD.toLowerCase()
+        ? [pair.token1, pair.token0]
+        : [pair.token0, pair.token1];
+      const label = (token) => token.address.toLowerCase() === WRAPPED_MONAD.toLowerCase()
+        ? { ...token, symbol: 'MON', address: WRAPPED_MONAD }
+        : token;
+      return { pairAddress: pair.pairAddress, tokenA: label(tokenA), tokenB: label(tokenB) };
+    });
+  }
+  
+  const tokens = await getAllTokens();
+  const assets = [
+    { symbol: 'MON', address: WRAPPED_MONAD, decimals: 18 },
+    ...Object.entries(tokens)
+      .filter(([, data]) => data.address.toLowerCase() !== WRAPPED_MONAD.toLowerCase())
+      .map(([symbol, data]) => ({ symbol, ...data }))
+  ];
+  
+  const pairs = [];
+  for (let i = 0; i < assets.length; i++) {
+    for (let j = i + 1; j < assets.length; j++) {
+      try {
+        const pairAddress = await factory.getPair(assets[i].address, assets[j].address);
+        if (pairAddress !== ethers.constants.AddressZero) {
+          pairs.push({ pairAddress, tokenA: assets[i], tokenB: assets[j] });
+        }
+      } catch (error) {
+        // Skip pairs the factory can't answer for
+      }
+    }
+  }
+  return pairs;
+}
+
+// LP balance of owner in a pair, with the underlying amounts it redeems for
+async function getLpPosition(owner, pair) {
+  const pairContract = new ethers.Contract(pair.pairAddress, PAIR_ABI, provider);
+  const lpBalance = await pairContract.balanceOf(owner);
+  if (lpBalance.isZero()) return null;
+  
+  const [token0, reserves, totalSupply] = await Promise.all([
+    pairContract.token0(),
+    pairContract.getReserves(),
+    pairContract.totalSupply()
+  ]);
+  
+  const aIsToken0 = token0.toLowerCase() === pair.tokenA.address.toLowerCase();
+  const reserveA = aIsToken0 ? reserves.reserve0 : reserves.reserve1;
+  const reserveB = aIsToken0 ? reserves.reserve1 : reserves.reserve0;
+  
+  return {
+    ...pair,
+    lpBalance,
+    totalSupply,
+    amountA: reserveA.mul(lpBalance).div(totalSupply),
+    amountB: reserveB.mul(lpBalance).div(totalSupply)
+  };
+}
+
+async function getLpPositions(owner) {
+  const positions = [];
+  for (const pair of await getKnownPairs()) {
+    try {
+      const position = await getLpPosition(owner, pair);
+      if (position) positions.push(position);
+    } catch (error) {
+      // Skip pairs that fail to load
+    }
+  }
+  return positions;
+}
+
+async function removeLiquidity(wallet, position, liquidity, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [position.tokenA.address, position.tokenB.address]);
+  stopAllSpinners(); // Ensure no spinners are running
+  const spinner = createSpinner('Preparing to remove liquidity...');
+  
+  try {
+    const { tokenA, tokenB } = position;
+    if (liquidity.isZero() || liquidity.gt(position.lpBalance)) {
+      throw new Error(`LP amount must be between 0 and ${ethers.utils.formatUnits(position.lpBalance, 18)}`);
+    }
+    
+    // Minimum outputs from the current reserves share
+    const amountAMin = minWithSlippage(position.amountA.mul(liquidity).div(position.lpBalance), slippageBps);
+    const amountBMin = minWithSlippage(position.amountB.mul(liquidity).div(position.lpBalance), slippageBps);
+    
+    // The router burns LP tokens on our behalf, so it needs an allowance on the pair
+    const pairContract = new ethers.Contract(position.pairAddress, PAIR_ABI, wallet);
+    const allowance = await pairContract.allowance(wallet.address, AMBIENT_ROUTER);
+    if (allowance.lt(liquidity)) {
+      spinner.text = `Approving ${tokenA.symbol}/${tokenB.symbol} LP tokens...`;
+      const approveTx = await pairContract.approve(
+        AMBIENT_ROUTER,
+        liquidity
+      );
+      await confirmTransaction(approveTx);
+      spinner.text = 'Approval complete';
+    }
+    
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    spinner.text = 'Removing liquidity...';
+    
+    let tx;
+    if (tokenA.address === WRAPPED_MONAD) {
+      // MON pairs pay out native MON instead of WMON
+      tx = await router.connect(wallet).removeLiquidityETH(
+        tokenB.address,
+        liquidity,
+        amountBMin,
+        amountAMin,
+        wallet.address,
+        deadline
+      );
+    } else {
+      tx = await router.connect(wallet).removeLiquidity(
+        tokenA.address,
+        tokenB.address,
+        liquidity,
+        amountAMin,
+        amountBMin,
+        wallet.address,
+        deadline
+      );
+    }
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    await confirmTransaction(tx);
+    
+    spinner.succeed(`Liquidity removed! Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    spinner.fail(`Failed to remove liquidity: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+async function displayPositions(name, address) {
+  console.log(chalk.blue(`\n=== ${name} (${address}) ===`));
+  
+  const lpPositions = await getLpPositions(address);
+  if (lpPositions.length === 0) {
+    console.log('No router LP positions');
+  }
+  for (const position of lpPositions) {
+    const share = position.lpBalance.mul(10000).div(position.totalSupply).toNumber() / 100;
+    console.log(`${position.tokenA.symbol}/${position.tokenB.symbol} LP: ${ethers.utils.formatUnits(position.lpBalance, 18)} (${share}% of pool)`);
+    console.log(`  ${ethers.utils.formatUnits(position.amountA, position.tokenA.decimals)} ${position.tokenA.symbol} + ${ethers.utils.formatUnits(position.amountB, position.tokenB.decimals)} ${position.tokenB.symbol}`);
+  }
+  
+  // Ambient ranges minted through this CLI
+  for (const range of getRangePositions(address)) {
+    try {
+      const tokens = await crocQuery.queryRangeTokens(address, range.base, range.quote, AMBIENT_POOL_INDEX, range.lowerTick, range.upperTick);
+      const [baseSymbol, quoteSymbol, baseDecimals, quoteDecimals] = await Promise.all([
+        getTokenSymbol(range.base),
+        getTokenSymbol(range.quote),
+        getTokenDecimals(range.base),
+        getTokenDecimals(range.quote)
+      ]);
+      console.log(`${baseSymbol}/${quoteSymbol} Ambient range (ticks ${range.lowerTick} to ${range.upperTick}): liquidity ${tokens.liq.toString()}`);
+      console.log(`  ${ethers.utils.formatUnits(tokens.baseQty, baseDecimals)} ${baseSymbol} + ${ethers.utils.formatUnits(tokens.quoteQty, quoteDecimals)} ${quoteSymbol}`);
+    } catch (error) {
+      console.log(`Ambient range (ticks ${range.lowerTick} to ${range.upperTick}): unavailable (${error.message})`);
+    }
+  }
+}
+
+// Prompt flow shared by the remove-liquidity command and the interactive liquidity menu
+async function promptRemoveLiquidity(walletChoices) {
+  const { walletName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Select a wallet:',
+      choices: walletChoices
+    }
+  ]);
+  
+  const wallet = await walletManager.getWallet(walletName);
+  if (!wallet) return;
+  
+  const spinner = createSpinner('Loading LP positions...');
+  const positions = await getLpPositions(wallet.address);
+  spinner.stop();
+  
+  if (positions.length === 0) {
+    console.log('No LP positions found for this wallet.');
+    return;
+  }
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'position',
+      message: 'Select a position:',
+      choices: positions.map(p => ({
+        name: `${p.tokenA.symbol}/${p.tokenB.symbol} (${ethers.utils.formatUnits(p.lpBalance, 18)} LP)`,
+        value: p
+      }))
+    },
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'Remove by:',
+      choices: [
+        { name: 'Percentage of position', value: 'percent' },
+        { name: 'Exact LP amount', value: 'exact' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'percent',
+      message: 'Enter percentage to remove:',
+      default: '100',
+      when: (answers) => answers.mode === 'percent',
+      validate: validatePercentInput
+    },
+    {
+      type: 'input',
+      name: 'lpAmount',
+      message: 'Enter LP token amount to remove:',
+      when: (answers) => answers.mode === 'exact',
+      validate: validateExactAmountInput
+    },
+    {
+      type: 'input',
+      name: 'slippage',
+      message: 'Enter slippage tolerance (%):',
+      default: '5',
+      validate: validatePercentInput
+    }
+  ]);
+  
+  const liquidity = answers.mode === 'percent'
+    ? answers.position.lpBalance.mul(parseBps(answers.percent)).div(BPS)
+    : parseDecimalAmount(answers.lpAmount, 18);
+  
+  await removeLiquidity(wallet, answers.position, liquidity, parseBps(answers.slippage));
+}
+
+// Concentrated range liquidity on Ambient
+// Positions can't be enumerated on-chain, so minted ranges are tracked in positions.json
+const POSITIONS_PATH = path.join(process.cwd(), 'positions.json');
+
+// Warm path (liquidity) command codes
+const WARM_PATH_CODES = {
+  burnRangeLiq: 2,
+  mintRangeBaseQty: 11,
+  mintRangeQuoteQty: 12
+};
+
+function loadRangePositions() {
+  try {
+    if (fs.existsSync(POSITIONS_PATH)) {
+      return JSON.parse(fs.readFileSync(POSITIONS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading ${POSITIONS_PATH}: ${error.message}`);
+  }
+  return {};
+}
+
+function saveRangePositions(positions) {
+  if (dryRun.enabled) return; // Simulated mints and burns don't change what is held
+  fs.writeFileSync(POSITIONS_PATH, JSON.stringify(positions, null, 2));
+}
+
+function getRangePositions(owner) {
+  return loadRangePositions()[owner.toLowerCase()] || [];
+}
+
+function isSameRange(a, b) {
+  return a.base.toLowerCase() === b.base.toLowerCase() &&
+    a.quote.toLowerCase() === b.quote.toLowerCase() &&
+    a.lowerTick === b.lowerTick &&
+    a.upperTick === b.upperTick;
+}
+
+function trackRangePosition(owner, position) {
+  const positions = loadRangePositions();
+  const key = owner.toLowerCase();
+  positions[key] = positions[key] || [];
+  if (!positions[key].some(p => isSameRange(p, position))) {
+    positions[key].push(position);
+    saveRangePositions(positions);
+  }
+}
+
+function untrackRangePosition(owner, position) {
+  const positions = loadRangePositions();
+  const key = owner.toLowerCase();
+  positions[key] = (positions[key] || []).filter(p => !isSameRange(p, position));
+  saveRangePositions(positions);
+}
+
+// Prices shown to the user are base per whole quote token (e.g. MON per USDC).
+// On-chain prices are raw base/quote units with price = 1.0001^tick.
+function priceToTick(displayPrice, baseDecimals, quoteDecimals) {
+  const rawPrice = displayPrice * Math.pow(10, baseDecimals - quoteDecimals);
+  return Math.floor(Math.log(rawPrice) / Math.log(1.0001));
+}
+
+function tickToPrice(tick, baseDecimals, quoteDecimals) {
+  return Math.pow(1.0001, tick) * Math.pow(10, quoteDecimals - baseDecimals);
+}
+
+// Range bounds must sit on the pool's tick grid; snap outwards so the range never shrinks
+function snapTick(tick, tickSize, roundUp) {
+  const snapped = roundUp ? Math.ceil(tick / tickSize) * tickSize : Math.floor(tick / tickSize) * tickSize;
+  return snapped === 0 ? 0 : snapped; // Avoid -0
+}
+
+function toBigNumber(value) {
+  return ethers.BigNumber.from(BigInt(Math.floor(value)).toString());
+}
+
+// Token amounts for a range, given the deposit on one side (raw units). Below the
+// range the position is all quote, above it all base, and in range it holds both.
+function previewRangeAmounts(sqrtPrice, lowerTick, upperTick, depositSide, depositAmount) {
+  const sqrtCurrent = Number(sqrtPrice.toString()) / Math.pow(2, 64);
+  const sqrtLower = Math.sqrt(Math.pow(1.0001, lowerTick));
+  const sqrtUpper = Math.sqrt(Math.pow(1.0001, upperTick));
+  
+  const sqrtClamped = Math.min(Math.max(sqrtCurrent, sqrtLower), sqrtUpper);
+  const basePerLiq = sqrtClamped - sqrtLower;
+  const quotePerLiq = 1 / sqrtClamped - 1 / sqrtUpper;
+  
+  const perLiq = depositSide === 'base' ? basePerLiq : quotePerLiq;
+  if (perLiq <= 0) {
+    const needed = depositSide === 'base' ? 'quote' : 'base';
+    throw new Error(`This range is entirely ${needed === 'quote' ? 'above' : 'below'} the current price and only takes the ${needed} token`);
+  }
+  
+  const liquidity = Number(depositAmount.toString()) / perLiq;
+  return {
+    inRange: sqrtCurrent > sqrtLower && sqrtCurrent < sqrtUpper,
+    liquidity,
+    baseAmount: depositSide === 'base' ? depositAmount : toBigNumber(liquidity * basePerLiq),
+    quoteAmount: depositSide === 'quote' ? depositAmount : toBigNumber(liquidity * quotePerLiq)
+  };
+}
+
+// Sqrt price window the pool price must stay inside for the command to execute
+function getSqrtPriceLimits(sqrtPrice, slippageBps) {
+  const lowerFactor = Math.floor(Math.sqrt((BPS - slippageBps) / BPS) * 1e6);
+  const upperFactor = Math.floor(Math.sqrt((BPS + slippageBps) / BPS) * 1e6);
+  return [sqrtPrice.mul(lowerFactor).div(1e6), sqrtPrice.mul(upperFactor).div(1e6)];
+}
+
+function encodeWarmPathCmd(code, base, quote, lowerTick, upperTick, qty, limitLower, limitHigher) {
+  return ethers.utils.defaultAbiCoder.encode(
+    ['uint8', 'address', 'address', 'uint256', 'int24', 'int24', 'uint128', 'uint128', 'uint128', 'uint8', 'address'],
+    [
+      code,
+      base,
+      quote,
+      AMBIENT_POOL_INDEX,
+      lowerTick,
+      upperTick,
+      qty,
+      limitLower,
+      limitHigher,
+      0, // reserveFlags: settle from the wallet
+      ethers.constants.AddressZero // lpConduit: position is owned by the wallet itself
+    ]
+  );
+}
+
+// Resolve user price bounds into grid-aligned ticks for a MON/token pool
+async function resolveRangeTicks(tokenAddress, lowerPrice, upperPrice) {
+  const { base, quote } = getAmbientPair(NATIVE_MON, tokenAddress);
+  const [params, baseDecimals, quoteDecimals] = await Promise.all([
+    crocQuery.queryPoolParams(base, quote, AMBIENT_POOL_INDEX),
+    getTokenDecimals(base),
+    getTokenDecimals(quote)
+  ]);
+  
+  const tickSize = params.tickSize_;
+  if (!tickSize) {
+    throw new Error('No Ambient pool initialized for this pair');
+  }
+  
+  const lowerTick = snapTick(priceToTick(lowerPrice, baseDecimals, quoteDecimals), tickSize, false);
+  const upperTick = snapTick(priceToTick(upperPrice, baseDecimals, quoteDecimals), tickSize, true);
+  if (lowerTick >= upperTick) {
+    throw new Error('Lower price bound must be below the upper bound');
+  }
+  
+  return {
+    base,
+    quote,
+    lowerTick,
+    upperTick,
+    tickSize,
+    lowerPrice: tickToPrice(lowerTick, baseDecimals, quoteDecimals),
+    upperPrice: tickToPrice(upperTick, baseDecimals, quoteDecimals)
+  };
+}
+
+// Mint a new range, or add to an existing one (same ticks), depositing a fixed
+// amount of one side. The other side's requirement is previewed before signing.
+async function mintRangeLiquidity(wallet, range, depositSide, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [range.base, range.quote]);
+  stopAllSpinners(); // Ensure no spinners are running
+  const spinner = createSpinner('Reading pool state...');
+  
+  try {
+    const { base, quote, lowerTick, upperTick } = range;
+    const [baseDecimals, quoteDecimals, baseSymbol, quoteSymbol] = await Promise.all([
+      getTokenDecimals(base),
+      getTokenDecimals(quote),
+      getTokenSymbol(base),
+      getTokenSymbol(quote)
+    ]);
+    
+    const depositAmount = await resolveAmount(amount, depositSide === 'base' ? baseDecimals : quoteDecimals, () => getSpendableBalance(wallet.address, depositSide === 'base' ? base : quote));
+    const sqrtPrice = await crocQuery.queryPrice(base, quote, AMBIENT_POOL_INDEX);
+    if (sqrtPrice.isZero()) {
+      throw new Error('No Ambient pool initialized for this pair');
+    }
+    
+    const preview = previewRangeAmounts(sqrtPrice, lowerTick, upperTick, depositSide, depositAmount);
+    
+    // The side that isn't fixed can move with the price, so allow for slippage on it
+    const maxBase = depositSide === 'base' ? preview.baseAmount : maxWithSlippage(preview.baseAmount, slippageBps);
+    const maxQuote = depositSide === 'quote' ? preview.quoteAmount : maxWithSlippage(preview.quoteAmount, slippageBps);
+    
+    spinner.stop();
+    console.log('\n=== Range Position Preview ===');
+    console.log(`Range: ${tickToPrice(lowerTick, baseDecimals, quoteDecimals)} - ${tickToPrice(upperTick, baseDecimals, quoteDecimals)} ${baseSymbol} per ${quoteSymbol}`);
+    console.log(`Ticks: ${lowerTick} to ${upperTick}${preview.inRange ? '' : chalk.yellow(' (out of range at current price)')}`);
+    console.log(`${baseSymbol} required: ${ethers.utils.formatUnits(preview.baseAmount, baseDecimals)} (max ${ethers.utils.formatUnits(maxBase, baseDecimals)})`);
+    console.log(`${quoteSymbol} required: ${ethers.utils.formatUnits(preview.quoteAmount, quoteDecimals)} (max ${ethers.utils.formatUnits(maxQuote, quoteDecimals)})`);
+    console.log('==============================\n');
+    
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Sign and send this liquidity transaction?',
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      console.log('Cancelled');
+      return null;
+    }
+    
+    spinner.start('Preparing liquidity transaction...');
+    await ensureAllowance(wallet, base, CROC_SWAP_DEX, maxBase, spinner, 'Ambient');
+    await ensureAllowance(wallet, quote, CROC_SWAP_DEX, maxQuote, spinner, 'Ambient');
+    
+    const [limitLower, limitHigher] = getSqrtPriceLimits(sqrtPrice, slippageBps);
+    const code = depositSide === 'base' ? WARM_PATH_CODES.mintRangeBaseQty : WARM_PATH_CODES.mintRangeQuoteQty;
+    const cmd = encodeWarmPathCmd(code, base, quote, lowerTick, upperTick, depositAmount, limitLower, limitHigher);
+    
+    spinner.text = 'Minting range liquidity...';
+    const tx = await crocDex.connect(wallet).userCmd(CROC_LIQ_PROXY_IDX, cmd, {
+      value: base === NATIVE_MON ? maxBase : 0, // Unused MON is refunded by the dex
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    await confirmTransaction(tx);
+    
+    trackRangePosition(wallet.address, { base, quote, poolIdx: AMBIENT_POOL_INDEX, lowerTick, upperTick });
+    spinner.succeed(`Range liquidity added! Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    spinner.fail(`Failed to add range liquidity: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Burn a percentage of a tracked range position
+async function burnRangeLiquidity(wallet, position, percent, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  enforceSlippagePolicy(wallet, slippageBps);
+  await enforceTokenPolicy(wallet, [position.base, position.quote]);
+  stopAllSpinners(); // Ensure no spinners are running
+  const spinner = createSpinner('Reading position...');
+  
+  try {
+    const { base, quote, lowerTick, upperTick } = position;
+    const tokens = await crocQuery.queryRangeTokens(wallet.address, base, quote, AMBIENT_POOL_INDEX, lowerTick, upperTick);
+    if (tokens.liq.isZero()) {
+      untrackRangePosition(wallet.address, position);
+      throw new Error('Position has no liquidity');
+    }
+    
+    // Partial burns must stay a whole number of lots
+    let burnLiq = tokens.liq.mul(percent).div(100);
+    if (percent < 100) {
+      burnLiq = burnLiq.div(CONC_LIQ_LOT_SIZE).mul(CONC_LIQ_LOT_SIZE);
+    }
+    if (burnLiq.isZero()) {
+      throw new Error('Amount to burn is smaller than one liquidity lot');
+    }
+    
+    const [baseDecimals, quoteDecimals, baseSymbol, quoteSymbol] = await Promise.all([
+      getTokenDecimals(base),
+      getTokenDecimals(quote),
+      getTokenSymbol(base),
+      getTokenSymbol(quote)
+    ]);
+    
+    spinner.stop();
+    console.log('\n=== Range Burn Preview ===');
+    console.log(`Ticks: ${lowerTick} to ${upperTick}`);
+    console.log(`Burning ${burnLiq.toString()} of ${tokens.liq.toString()} liquidity`);
+    console.log(`${baseSymbol} returned: ~${ethers.utils.formatUnits(tokens.baseQty.mul(burnLiq).div(tokens.liq), baseDecimals)}`);
+    console.log(`${quoteSymbol} returned: ~${ethers.utils.formatUnits(tokens.quoteQty.mul(burnLiq).div(tokens.liq), quoteDecimals)}`);
+    console.log('==========================\n');
+    
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Sign and send this burn transaction?',
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      console.log('Cancelled');
+      return null;
+    }
+    
+    spinner.start('Burning range liquidity...');
+    const sqrtPrice = await crocQuery.queryPrice(base, quote, AMBIENT_POOL_INDEX);
+    const [limitLower, limitHigher] = getSqrtPriceLimits(sqrtPrice, slippageBps);
+    const cmd = encodeWarmPathCmd(WARM_PATH_CODES.burnRangeLiq, base, quote, lowerTick, upperTick, burnLiq, limitLower, limitHigher);
+    
+    const tx = await crocDex.connect(wallet).userCmd(CROC_LIQ_PROXY_IDX, cmd);
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    await confirmTransaction(tx);
+    
+    if (burnLiq.eq(tokens.liq)) {
+      untrackRangePosition(wallet.address, position);
+    }
+    spinner.succeed(`Range liquidity burned! Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    spinner.fail(`Failed to burn range liquidity: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Prompt flows shared by the range commands and the interactive liquidity menu
+async function promptRangeMint(walletChoices, tokenChoices) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Select a wallet:',
+      choices: walletChoices
+    },
+    {
+      type: 'list',
+      name: 'tokenAddress',
+      message: 'Select a token to pair with MON:',
+      choices: tokenChoices
+    },
+    {
+      type: 'number',
+      name: 'lowerPrice',
+      message: 'Enter lower price bound (MON per token):'
+    },
+    {
+      type: 'number',
+      name: 'upperPrice',
+      message: 'Enter upper price bound (MON per token):'
+    },
+    {
+      type: 'list',
+      name: 'depositSide',
+      message: 'Which amount do you want to fix?',
+      choices: [
+        { name: 'MON amount', value: 'base' },
+        { name: 'Token amount', value: 'quote' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'amount',
+      message: 'Enter amount to deposit (or "max" / "50%"):',
+      validate: validateAmountInput
+    },
+    {
+      type: 'input',
+      name: 'slippage',
+      message: 'Enter slippage tolerance (%):',
+      default: '5',
+      validate: validatePercentInput
+    }
+  ]);
+  
+  const wallet = await walletManager.getWallet(answers.walletName);
+  if (!wallet) return;
+  
+  const range = await resolveRangeTicks(answers.tokenAddress, answers.lowerPrice, answers.upperPrice);
+  console.log(`Snapped to tick spacing ${range.tickSize}: ${range.lowerPrice} - ${range.upperPrice} MON per token`);
+  
+  await mintRangeLiquidity(wallet, range, answers.depositSide, answers.amount, parseBps(answers.slippage));
+}
+
+async function selectRangePosition(walletChoices) {
+  const { walletName } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Select a wallet:',
+      choices: walletChoices
+    }
+  ]);
+  
+  const wallet = await walletManager.getWallet(walletName);
+  if (!wallet) return {};
+  
+  const positions = getRangePositions(wallet.address);
+  if (positions.length === 0) {
+    console.log('No tracked range positions for this wallet.');
+    return {};
+  }
+  
+  const positionChoices = [];
+  for (const position of positions) {
+    const [baseSymbol, quoteSymbol] = await Promise.all([getTokenSymbol(position.base), getTokenSymbol(position.quote)]);
+    positionChoices.push({
+      name: `${baseSymbol}/${quoteSymbol} ticks ${position.lowerTick} to ${position.upperTick}`,
+      value: position
+    });
+  }
+  
+  const { position } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'position',
+      message: 'Select a range position:',
+      choices: positionChoices
+    }
+  ]);
+  
+  return { wallet, position };
+}
+
+async function promptRangeAdd(walletChoices) {
+  const { wallet, position } = await selectRangePosition(walletChoices);
+  if (!position) return;
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'depositSide',
+      message: 'Which amount do you want to fix?',
+      choices: [
+        { name: 'MON amount', value: 'base' },
+        { name: 'Token amount', value: 'quote' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'amount',
+      message: 'Enter amount to deposit (or "max" / "50%"):',
+      validate: validateAmountInput
+    },
+    {
+      type: 'input',
+      name: 'slippage',
+      message: 'Enter slippage tolerance (%):',
+      default: '5',
+      validate: validatePercentInput
+    }
+  ]);
+  
+  await mintRangeLiquidity(wallet, position, answers.depositSide, answers.amount, parseBps(answers.slippage));
+}
+
+async function promptRangeBurn(walletChoices) {
+  const { wallet, position } = await selectRangePosition(walletChoices);
+  if (!position) return;
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'number',
+      name: 'percent',
+      message: 'Enter percentage of the position to burn:',
+      default: 100,
+      validate: (input) => (Number.isInteger(input) && input >= 1 && input <= 100) || 'Enter a whole number from 1 to 100'
+    },
+    {
+      type: 'input',
+      name: 'slippage',
+      message: 'Enter slippage tolerance (%):',
+      default: '5',
+      validate: validatePercentInput
+    }
+  ]);
+  
+  await burnRangeLiquidity(wallet, position, answers.percent, parseBps(answers.slippage));
+}
+
+async function performRoundtrip(wallet, tokenAddress, amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  // Display swap info first
+  await displaySwapInfo(wallet, tokenAddress);
+  
+  console.log(`Beginning roundtrip: MON -> Token -> MON`);
+  
+  try {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const decimals = await token.decimals();
+    const balanceBefore = await token.balanceOf(wallet.address);
+    const amountIn = await resolveAmount(amount, 18, () => getSpendableBalance(wallet.address, NATIVE_MON, GAS_LIMIT * 4));
+    
+    // First swap: MON to Token
+    const swap1Hash = await swapMonForToken(wallet, tokenAddress, amountIn.div(2), slippageBps);
+    console.log(`First swap completed: ${swap1Hash}`);
+    
+    // Only swap back what the first leg actually delivered (after any transfer tax),
+    // not tokens the wallet already held
+    const received = await getReceivedAmount(wallet.address, tokenAddress, balanceBefore);
+    if (received.isZero()) {
+      throw new Error('First swap delivered no tokens');
+    }
+    
+    console.log(`Tokens received: ${ethers.utils.formatUnits(received, decimals)}`);
+    
+    // Second swap: Token to MON
+    const swap2Hash = await swapTokenForMon(wallet, tokenAddress, received, slippageBps);
+    console.log(`Second swap completed: ${swap2Hash}`);
+    
+    const fallback = isFallbackTransaction([swap1Hash, swap2Hash]);
+    return {
+      success: !fallback,
+      fallback,
+      swaps: [swap1Hash, swap2Hash]
+    };
+  } catch (error) {
+    const swapError = classifySwapError(error);
+    console.error(`Roundtrip failed (${swapError.name}): ${swapError.message}`);
+    return {
+      success: false,
+      errorType: swapError.name,
+      error: swapError.message
+    };
+  }
+}
+
+async function performAutoRoundtrip(wallet, tokenAddress, amount, count, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  console.log(`Beginning auto roundtrip (${count} times)`);
+  const results = [];
+  
+  let currentAmount = amount;
+  
+  for (let i = 0; i < count; i++) {
+    console.log(`\nRoundtrip ${i + 1} of ${count}`);
+    try {
+      const result = await performRoundtrip(wallet, tokenAddress, currentAmount, slippageBps);
+      results.push(result);
+      
+      // Update amount for next round based on current MON balance
+      const balance = await provider.getBalance(wallet.address);
+      currentAmount = balance.div(2); // Use half of balance for next round
+      
+      console.log(`Adjusted amount for next round: ${ethers.utils.formatEther(currentAmount)} MON`);
+      
+      // Short delay between roundtrips
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    } catch (error) {
+      console.error(`Roundtrip ${i + 1} failed: ${error.message}`);
+      results.push({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  
+  return results;
+}
+
+// New function for automated random swapping
+async function performAutomatedRandomSwaps(wallet, tokenAddress, maxSwaps, minMON, maxMON, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  console.log(chalk.blue(`\n=== Starting Automated Random Swaps (max ${maxSwaps} roundtrips) ===`));
+  console.log(`Target token: ${(await findTokenByAddress(tokenAddress)).symbol}`);
+  console.log(`MON amount range: ${minMON} - ${maxMON} MON per swap`);
+  console.log(`Random timing and amounts will be used to simulate human behavior`);
+  
+  const minAmountIn = parseDecimalAmount(minMON, 18);
+  const maxAmountIn = parseDecimalAmount(maxMON, 18);
+  const results = [];
+  let continueSeries = true;
+  let swapCount = 0;
+  
+  // Check initial MON balance
+  const initialMonBalance = await provider.getBalance(wallet.address);
+  console.log(`\nInitial MON balance: ${ethers.utils.formatEther(initialMonBalance)} MON\n`);
+  
+  while (continueSeries && swapCount < maxSwaps) {
+    try {
+      // Random wait time before starting
+      await randomUtils.sleep(1000, 10000);
+      
+      swapCount++;
+      console.log(chalk.yellow(`\n--- Roundtrip Swap ${swapCount}/${maxSwaps} ---`));
+      
+      // Pick a random amount between min and max, shrunk if the roundtrip's MON and gas
+      // don't fit in the balance. If not even the minimum fits, end the series.
+      const plan = await planOperation(wallet.address, {
+        type: 'roundtrip',
+        tokenAddress,
+        amount: randomUtils.getRandomAmount(minAmountIn, maxAmountIn),
+        minAmount: minAmountIn,
+        maxSpendPercent: 80
+      });
+      reportPlan(plan);
+      if (plan.skipped) {
+        console.log(chalk.red('Stopping swap series.'));
+        break;
+      }
+      const randomAmount = plan.amount;
+      console.log(`Using random amount: ${ethers.utils.formatEther(randomAmount)} MON`);
+      
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      const decimals = await token.decimals();
+      const balanceBefore = await token.balanceOf(wallet.address);
+      
+      // First simulation: MON to Token
+      let swap1Hash;
+      try {
+        swap1Hash = await swapMonForToken(wallet, tokenAddress, randomAmount.div(2), slippageBps);
+        console.log(`First swap completed: ${swap1Hash}`);
+      } catch (error) {
+        console.error(`First swap failed: ${error.message}`);
+        applyFailurePolicy(error, 'sending MON to the token contract as activity');
+        swap1Hash = recordFallback((await wallet.sendTransaction({
+          to: tokenAddress,
+          value: randomAmount.div(4)
+        })).hash);
+        console.log(chalk.yellow(`Fallback MON transfer completed (no swap): ${swap1Hash}`));
+      }
+      
+      // Swap back only what the first swap delivered (balance delta, after any transfer tax)
+      const received = await getReceivedAmount(wallet.address, tokenAddress, balanceBefore);
+      
+      console.log(`Tokens received: ${ethers.utils.formatUnits(received, decimals)}`);
+      
+      // Second simulation: Token to MON (if we have tokens)
+      let swap2Hash;
+      if (received.gt(0)) {
+        try {
+          swap2Hash = await swapTokenForMon(wallet, tokenAddress, received, slippageBps);
+          console.log(`Second swap completed: ${swap2Hash}`);
+        } catch (error) {
+          console.error(`Second swap failed: ${error.message}`);
+          applyFailurePolicy(error, 'sending tokens back to this wallet as activity');
+          const transferAmount = received.div(2);
+          if (transferAmount.gt(0)) {
+            swap2Hash = recordFallback((await token.connect(wallet).transfer(wallet.address, transferAmount)).hash);
+            console.log(chalk.yellow(`Fallback token self-transfer completed (no swap): ${swap2Hash}`));
+          } else {
+            swap2Hash = "None - insufficient token balance";
+          }
+        }
+      } else {
+        swap2Hash = "None - no token balance";
+      }
+      
+      const fallback = isFallbackTransaction([swap1Hash, swap2Hash]);
+      results.push({
+        swap: swapCount,
+        amount: ethers.utils.formatEther(randomAmount),
+        success: !fallback,
+        fallback,
+        hashes: [swap1Hash, swap2Hash]
+      });
+      
+      // Random chance (10%) to end the series early
+      if (Math.random() < 0.1 && swapCount >= 2) {
+        console.log(chalk.yellow(`Randomly ending swap series after ${swapCount} swaps.`));
+        continueSeries = false;
+      }
+    } catch (error) {
+      const swapError = classifySwapError(error);
+      console.error(`Error in automated swap #${swapCount} (${swapError.name}): ${swapError.message}`);
+      results.push({
+        swap: swapCount,
+        success: false,
+        errorType: swapError.name,
+        error: swapError.message
+      });
+      
+      // Wait after error before continuing
+      await randomUtils.sleep(1000, 10000);
+    }
+  }
+  
+  // Check final balance
+  const finalMonBalance = await provider.getBalance(wallet.address);
+  console.log(`\nFinal MON balance: ${ethers.utils.formatEther(finalMonBalance)} MON`);
+  
+  // Calculate profit/loss
+  const difference = finalMonBalance.sub(initialMonBalance);
+  const differenceEther = ethers.utils.formatEther(difference);
+  
+  console.log(chalk.blue('\n=== Automated Swap Series Summary ==='));
+  console.log(`Completed ${swapCount} roundtrip swaps`);
+  console.log(`MON balance change: ${differenceEther} MON`);
+  
+  const successful = results.filter(r => r.success).length;
+  console.log(`${successful} of ${results.length} roundtrips completed successfully`);
+  reportFallbacks(results);
+  
+  return results;
+}
+
+// Function for randomized multi-token swapping
+async function performRandomMultiTokenSwaps(wallet, swaps, minAmount, maxAmount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  stopAllSpinners(); // Ensure no spinners are running
+  console.log(chalk.blue(`\n=== Starting Random Multi-Token Swap Series (${swaps} swaps) ===`));
+  console.log(`Amount range: ${minAmount} - ${maxAmount} MON per swap`);
+  
+  const minAmountIn = parseDecimalAmount(minAmount, 18);
+  const maxAmountIn = parseDecimalAmount(maxAmount, 18);
+  const results = [];
+  
+  // Get initial balance
+  const initialMonBalance = await provider.getBalance(wallet.address);
+  console.log(`\nInitial MON balance: ${ethers.utils.formatEther(initialMonBalance)} MON\n`);
+  
+  const tokens = await getAllTokens();
+  const tokenAddresses = Object.values(tokens).map(t => t.address);
+  
+  for (let i = 0; i < swaps; i++) {
+    try {
+      // Random wait time before starting
+      await randomUtils.sleep(1000, 10000);
+      
+      console.log(chalk.yellow(`\n--- Random Swap ${i+1}/${swaps} ---`));
+      
+      // Select a random token
+      const randomTokenIndex = randomUtils.getRandomInt(0, tokenAddresses.length - 1);
+      const randomTokenAddress = tokenAddresses[randomTokenIndex];
+      const tokenInfo = await findTokenByAddress(randomTokenAddress);
+      
+      console.log(`Selected random token: ${tokenInfo.symbol}`);
+      
+      // Decide randomly what to do (MON to Token, Token to MON, or roundtrip)
+      // Check if we have any token balance first
+      const tokenContract = new ethers.Contract(randomTokenAddress, ERC20_ABI, provider);
+      const tokenBalance = await tokenContract.balanceOf(wallet.address);
+      const tokenAmountToSwap = tokenBalance.mul(90).div(100); // Use a maximum of 90% of token balance
+      
+      let action = 'monToToken'; // Default action
+      let hash;
+      
+      // If we have tokens, randomly decide between actions
+      if (tokenBalance.gt(0)) {
+        const actions = ['monToToken', 'tokenToMon', 'roundtrip'];
+        action = actions[randomUtils.getRandomInt(0, 2)];
+      }
+      
+      // Pick a random amount between min and max, shrunk to what the balance covers with gas
+      const plan = await planOperation(wallet.address, {
+        type: action,
+        tokenAddress: randomTokenAddress,
+        amount: randomUtils.getRandomAmount(minAmountIn, maxAmountIn),
+        minAmount: minAmountIn,
+        tokenAmount: tokenAmountToSwap,
+        maxSpendPercent: 70
+      });
+      reportPlan(plan);
+      if (plan.skipped) {
+        continue;
+      }
+      
+      const randomAmount = plan.amount;
+      if (action !== 'tokenToMon') {
+        console.log(`Using random amount: ${ethers.utils.formatEther(randomAmount)} MON`);
+      }
+      
+      try {
+        switch (action) {
+          case 'monToToken':
+            console.log('Randomly selected action: MON to Token');
+            hash = await swapMonForToken(wallet, randomTokenAddress, randomAmount, slippageBps);
+            break;
+          case 'tokenToMon':
+            console.log('Randomly selected action: Token to MON');
+            hash = await swapTokenForMon(wallet, randomTokenAddress, tokenAmountToSwap, slippageBps);
+            break;
+          case 'roundtrip':
+            console.log('Randomly selected action: Roundtrip');
+            const result = await performRoundtrip(wallet, randomTokenAddress, randomAmount, slippageBps);
+            hash = result.swaps;
+            break;
+        }
+        
+        const fallback = isFallbackTransaction(hash);
+        results.push({
+          swap: i+1,
+          token: tokenInfo.symbol,
+          action,
+          amount: action === 'tokenToMon' ? 
+                  `${ethers.utils.formatUnits(tokenAmountToSwap, tokenInfo.decimals)} ${tokenInfo.symbol}` : 
+                  `${ethers.utils.formatEther(randomAmount)} MON`,
+          success: !fallback,
+          fallback,
+          hash
+        });
+      } catch (error) {
+        const swapError = classifySwapError(error);
+        console.error(`Action ${action} failed (${swapError.name}): ${swapError.message}`);
+        
+        // Fallback to direct transaction as activity, only when the failure policy allows it
+        try {
+          applyFailurePolicy(swapError, 'sending an activity transaction instead');
+          if (action === 'monToToken' || action === 'roundtrip') {
+            hash = recordFallback((await wallet.sendTransaction({
+              to: randomTokenAddress,
+              value: randomAmount.div(4)
+            })).hash);
+            console.log(chalk.yellow(`Fallback MON transfer completed (no swap): ${hash}`));
+          } else {
+            // Token to MON - try a self transfer if we have tokens
+            if (tokenBalance.gt(0)) {
+              const transferAmount = tokenBalance.div(2);
+              hash = recordFallback((await tokenContract.connect(wallet).transfer(wallet.address, transferAmount)).hash);
+              console.log(chalk.yellow(`Fallback token self-transfer completed (no swap): ${hash}`));
+            } else {
+              throw new Error("Insufficient token balance for fallback");
+            }
+          }
+          
+          results.push({
+            swap: i+1,
+            token: tokenInfo.symbol,
+            action: `${action} (fallback)`,
+            amount: `${ethers.utils.formatEther(randomAmount)} MON`,
+            success: false,
+            fallback: true,
+            hash
+          });
+        } catch (fallbackError) {
+          if (fallbackError !== swapError) {
+            console.error(`Fallback also failed: ${fallbackError.message}`);
+          }
+          results.push({
+            swap: i+1,
+            token: tokenInfo.symbol,
+            action,
+            success: false,
+            errorType: swapError.name,
+            error: swapError.message
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Error in random swap #${i+1}: ${error.message}`);
+      results.push({
+        swap: i+1,
+        success: false,
+        error: error.message
+      });
+      
+      // Wait after error before continuing
+      await randomUtils.sleep(1000, 10000);
+    }
+  }
+  
+  // Check final balance
+  const finalMonBalance = await provider.getBalance(wallet.address);
+  console.log(`\nFinal MON balance: ${ethers.utils.formatEther(finalMonBalance)} MON`);
+  
+  // Calculate profit/loss
+  const difference = finalMonBalance.sub(initialMonBalance);
+  const differenceEther = ethers.utils.formatEther(difference);
+  
+  console.log(chalk.blue('\n=== Random Multi-Token Swap Series Summary ==='));
+  console.log(`Completed ${results.filter(r => r.success).length} of ${swaps} random swaps`);
+  reportFallbacks(results);
+  console.log(`MON balance change: ${differenceEther} MON`);
+  
+  return results;
+}
+
+// Function for multi-wallet operations
+async function performMultiWalletSwaps(walletNames, swapParameters, walletManager, totalSwapsPerWallet) {
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  console.log(chalk.blue(`\n=== Starting Multi-Wallet Operation with ${walletNames.length} wallets ===`));
+  console.log(`Each wallet will perform ${totalSwapsPerWallet} swaps in a randomized order`);
+  
+  // Random amounts are drawn between these bounds (in wei) when amounts are dynamic
+  const hasRange = swapParameters.minAmount !== undefined && swapParameters.maxAmount !== undefined;
+  const minAmountIn = hasRange ? parseDecimalAmount(swapParameters.minAmount, 18) : null;
+  const maxAmountIn = hasRange ? parseDecimalAmount(swapParameters.maxAmount, 18) : null;
+  
+  // Plans a MON-spending operation for one wallet. Dynamic amounts are drawn from the range
+  // and shrunk to fit; "max" and percentages shrink to fit too, fixed amounts don't.
+  const planMonOperation = async (wallet, type, tokenAddress, params) => {
+    if (params.dynamicAmount) {
+      return planOperation(wallet.address, {
+        type,
+        tokenAddress,
+        amount: randomUtils.getRandomAmount(minAmountIn, maxAmountIn),
+        minAmount: minAmountIn,
+        maxSpendPercent: 70
+      });
+    }
+    const balance = await provider.getBalance(wallet.address);
+    const isShare = /^(max|.*%)$/i.test(String(params.amount).trim());
+    return planOperation(wallet.address, {
+      type,
+      tokenAddress,
+      amount: await resolveAmount(params.amount, 18, async () => balance),
+      minAmount: isShare ? ethers.constants.Zero : undefined
+    });
+  };
+  
+  const results = [];
+  const overallResults = {};
+  
+  // Initialize results tracking for each wallet
+  for (const name of walletNames) {
+    overallResults[name] = {
+      completedSwaps: 0,
+      successfulSwaps: 0,
+      fallbacks: 0,
+      failures: []
+    };
+  }
+  
+  // Perform swaps in rounds, with each wallet completing one swap per round
+  for (let round = 0; round < totalSwapsPerWallet; round++) {
+    console.log(chalk.yellow(`\n=== Starting Round ${round + 1}/${totalSwapsPerWallet} ===`));
+    
+    // Shuffle wallet names for this round to randomize order
+    const randomizedWallets = randomUtils.shuffleArray(walletNames);
+    
+    for (let i = 0; i < randomizedWallets.length; i++) {
+      const name = randomizedWallets[i];
+      const wallet = await walletManager.getWallet(name);
+      if (!wallet) continue;
+      
+      console.log(`\nProcessing wallet ${i+1}/${randomizedWallets.length} in this round: ${name} (${wallet.address})`);
+      console.log(`This is swap ${round+1}/${totalSwapsPerWallet} for this wallet`);
+      
+      try {
+        let result;
+        
+        // Current swap parameters
+        const params = { ...swapParameters };
+        
+        if (params.swapType === 'monToToken') {
+          const plan = await planMonOperation(wallet, 'monToToken', params.tokenAddress, params);
+          reportPlan(plan);
+          if (plan.skipped) {
+            overallResults[name].failures.push({
+              round: round + 1,
+              error: plan.reason
+            });
+            continue;
+          }
+          
+          params.amount = plan.amount;
+          console.log(`Using amount: ${ethers.utils.formatEther(params.amount)} MON`);
+          
+          const hash = await swapMonForToken(wallet, params.tokenAddress, params.amount, params.slippageBps);
+          result = { success: !isFallbackTransaction(hash), fallback: isFallbackTransaction(hash), hash };
+        } else if (params.swapType === 'tokenToMon') {
+          // Get token info for balance checks
+          const tokenInfo = await findTokenByAddress(params.tokenAddress);
+          const tokenContract = new ethers.Contract(params.tokenAddress, ERC20_ABI, provider);
+          const tokenBalance = await tokenContract.balanceOf(wallet.address);
+          
+          if (tokenBalance.lte(0)) {
+            console.log(chalk.red(`No ${tokenInfo.symbol} balance. Skipping this swap.`));
+            overallResults[name].failures.push({
+              round: round + 1,
+              error: `No ${tokenInfo.symbol} balance`
+            });
+            continue;
+          }
+          
+          // Dynamic amount based on available balance
+          let tokenAmountToSwap;
+          if (params.dynamicAmount) {
+            // Use a maximum of 90% of token balance
+            tokenAmountToSwap = tokenBalance.mul(90).div(100);
+          } else {
+            tokenAmountToSwap = minBigNumber(await resolveAmount(params.amount, tokenInfo.decimals, async () => tokenBalance), tokenBalance);
+          }
+          
+          // Selling tokens still needs MON for the approval and swap gas
+          const plan = await planOperation(wallet.address, { type: 'tokenToMon', tokenAddress: params.tokenAddress, tokenAmount: tokenAmountToSwap });
+          reportPlan(plan);
+          if (plan.skipped) {
+            overallResults[name].failures.push({
+              round: round + 1,
+              error: plan.reason
+            });
+            continue;
+          }
+          
+          console.log(`Swapping ${ethers.utils.formatUnits(tokenAmountToSwap, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+          
+          const hash = await swapTokenForMon(wallet, params.tokenAddress, tokenAmountToSwap, params.slippageBps);
+          result = { success: !isFallbackTransaction(hash), fallback: isFallbackTransaction(hash), hash };
+        } else if (params.swapType === 'roundtrip') {
+          const plan = await planMonOperation(wallet, 'roundtrip', params.tokenAddress, params);
+          reportPlan(plan);
+          if (plan.skipped) {
+            overallResults[name].failures.push({
+              round: round + 1,
+              error: plan.reason
+            });
+            continue;
+          }
+          
+          const roundtripAmount = plan.amount;
+          console.log(`Using amount for roundtrip: ${ethers.utils.formatEther(roundtripAmount)} MON`);
+          
+          result = await performRoundtrip(wallet, params.tokenAddress, roundtripAmount, params.slippageBps);
+        } else if (params.swapType === 'autoRandom') {
+          // For auto random, select a random token each time
+          const randomToken = await randomUtils.selectRandomToken();
+          console.log(`Selected random token for this round: ${randomToken.symbol}`);
+          
+          // Decide randomly what to do (MON to Token, Token to MON, or roundtrip)
+          // Check if we have any token balance first
+          const tokenContract = new ethers.Contract(randomToken.address, ERC20_ABI, provider);
+          const tokenBalance = await tokenContract.balanceOf(wallet.address);
+          const tokenAmountToSwap = tokenBalance.mul(90).div(100); // Use a maximum of 90% of token balance
+          
+          let action = 'monToToken'; // Default action
+          let hash;
+          
+          // If we have tokens, randomly decide between actions
+          if (tokenBalance.gt(0)) {
+            const actions = ['monToToken', 'tokenToMon', 'roundtrip'];
+            action = actions[randomUtils.getRandomInt(0, 2)];
+          }
+          
+          // Random amount between min and max, shrunk to what the balance covers with gas
+          const plan = await planOperation(wallet.address, {
+            type: action,
+            tokenAddress: randomToken.address,
+            amount: randomUtils.getRandomAmount(minAmountIn, maxAmountIn),
+            minAmount: minAmountIn,
+            tokenAmount: tokenAmountToSwap,
+            maxSpendPercent: 70
+          });
+          reportPlan(plan);
+          if (plan.skipped) {
+            overallResults[name].failures.push({
+              round: round + 1,
+              error: plan.reason
+            });
+            continue;
+          }
+          
+          const randomAmount = plan.amount;
+          if (action !== 'tokenToMon') {
+            console.log(`Using random amount: ${ethers.utils.formatEther(randomAmount)} MON`);
+          }
+          
+          try {
+            switch (action) {
+              case 'monToToken':
+                console.log('Randomly selected action: MON to Token');
+                hash = await swapMonForToken(wallet, randomToken.address, randomAmount, params.slippageBps);
+                break;
+              case 'tokenToMon':
+                console.log('Randomly selected action: Token to MON');
+                hash = await swapTokenForMon(wallet, randomToken.address, tokenAmountToSwap, params.slippageBps);
+                break;
+              case 'roundtrip':
+                console.log('Randomly selected action: Roundtrip');
+                const rtResult = await performRoundtrip(wallet, randomToken.address, randomAmount, params.slippageBps);
+                if (!rtResult.success && !rtResult.fallback) {
+                  throw new SwapError(rtResult.error);
+                }
+                hash = rtResult.swaps;
+                break;
+            }
+            
+            result = {
+              success: !isFallbackTransaction(hash),
+              fallback: isFallbackTransaction(hash),
+              token: randomToken.symbol,
+              action,
+              amount: action === 'tokenToMon' ? 
+                      `${ethers.utils.formatUnits(tokenAmountToSwap, randomToken.decimals)} ${randomToken.symbol}` : 
+                      `${ethers.utils.formatEther(randomAmount)} MON`,
+              hash
+            };
+          } catch (error) {
+            const swapError = classifySwapError(error);
+            console.error(`Regular action failed (${swapError.name}): ${swapError.message}`);
+            
+            // Fallback to direct transaction as activity, only when the failure policy allows it
+            applyFailurePolicy(swapError, 'sending MON to the token contract as activity');
+            try {
+              hash = recordFallback((await wallet.sendTransaction({
+                to: randomToken.address,
+                value: randomAmount.div(4)
+              })).hash);
+              console.log(chalk.yellow(`Fallback MON transfer completed (no swap): ${hash}`));
+              
+              result = {
+                success: false,
+                fallback: true,
+                token: randomToken.symbol,
+                action: `${action} (fallback)`,
+                amount: `${ethers.utils.formatEther(randomAmount)} MON`,
+                hash
+              };
+            } catch (fallbackError) {
+              throw swapError; // Propagate the original error
+            }
+          }
+        }
+        
+        // Record the outcome; fallback transactions are counted apart from real swaps
+        overallResults[name].completedSwaps++;
+        if (result.fallback) {
+          overallResults[name].fallbacks++;
+        } else if (result.success) {
+          overallResults[name].successfulSwaps++;
+        } else {
+          overallResults[name].failures.push({
+            round: round + 1,
+            errorType: result.errorType,
+            error: result.error
+          });
+        }
+        
+        results.push({
+          round: round + 1,
+          wallet: name,
+          success: result.success,
+          fallback: Boolean(result.fallback),
+          result
+        });
+        
+      } catch (error) {
+        const swapError = classifySwapError(error);
+        console.error(`Failed for wallet ${name} in round ${round + 1} (${swapError.name}): ${swapError.message}`);
+        
+        // Record failure
+        overallResults[name].completedSwaps++;
+        overallResults[name].failures.push({
+          round: round + 1,
+          errorType: swapError.name,
+          error: swapError.message
+        });
+        
+        results.push({
+          round: round + 1,
+          wallet: name,
+          success: false,
+          errorType: swapError.name,
+          error: swapError.message
+        });
+      }
+      
+      // Short delay between wallets (1-5 seconds)
+      if (i < randomizedWallets.length - 1) {
+        await randomUtils.sleep(1000, 5000);
+      }
+    }
+    
+    // Short delay between rounds (3-8 seconds)
+    if (round < totalSwapsPerWallet - 1) {
+      console.log(chalk.blue(`\nCompleted round ${round + 1}. Preparing for next round...`));
+      await randomUtils.sleep(3000, 8000);
+    }
+  }
+  
+  // Display summary
+  console.log(chalk.blue('\n=== Multi-Wallet Operation Summary ==='));
+  
+  let totalSuccessful = 0;
+  let totalAttempted = 0;
+  
+  for (const [name, stats] of Object.entries(overallResults)) {
+    totalSuccessful += stats.successfulSwaps;
+    totalAttempted += stats.completedSwaps;
+    
+    const successRate = stats.completedSwaps > 0 ? 
+                        Math.round((stats.successfulSwaps / stats.completedSwaps) * 100) : 0;
+    
+    console.log(`${name}: ${stats.successfulSwaps}/${stats.completedSwaps} successful (${successRate}%)`);
+    if (stats.fallbacks > 0) {
+      console.log(chalk.yellow(`  Fallback transactions (no swap): ${stats.fallbacks}`));
+    }
+    
+    if (stats.failures.length > 0) {
+      console.log(`  Failures: ${stats.failures.length}`);
+      // Only show the first few failures to avoid cluttering the console
+      const shownFailures = stats.failures.slice(0, Math.min(3, stats.failures.length));
+      for (const failure of shownFailures) {
+        console.log(`  - Round ${failure.round}: ${failure.errorType ? `${failure.errorType}: ` : ''}${failure.error}`);
+      }
+      if (stats.failures.length > 3) {
+        console.log(`  - ...and ${stats.failures.length - 3} more failures`);
+      }
+    }
+  }
+  
+  const overallSuccessRate = totalAttempted > 0 ? 
+                             Math.round((totalSuccessful / totalAttempted) * 100) : 0;
+  
+  console.log(`\nOverall: ${totalSuccessful}/${totalAttempted} successful swaps (${overallSuccessRate}%)`);
+  reportFallbacks(results);
+  
+  return {
+    results,
+    summary: overallResults
+  };
+}
+
+// Wrap and unwrap MON through the WMON contract
+async function wrapMon(wallet, amount) {
+  stopAllSpinners(); // Ensure no spinners are running
+  const spinner = createSpinner('Preparing to wrap MON...');
+  
+  try {
+    const amountIn = await resolveAmount(amount, 18, () => getSpendableBalance(wallet.address, NATIVE_MON, GAS_LIMIT));
+    
+    // Keep enough MON back to pay for the deposit itself
+    const monBalance = await provider.getBalance(wallet.address);
+    const gasCost = (await getMaxGasPrice()).mul(GAS_LIMIT);
+    if (monBalance.lt(amountIn.add(gasCost))) {
+      throw new Error(`Insufficient MON: have ${ethers.utils.formatEther(monBalance)}, need ${ethers.utils.formatEther(amountIn)} plus up to ${ethers.utils.formatEther(gasCost)} for gas`);
+    }
+    
+    spinner.text = 'Wrapping MON...';
+    const tx = await wmon.connect(wallet).deposit({
+      value: amountIn
+    });
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    await confirmTransaction(tx);
+    
+    spinner.succeed(`Wrapped ${ethers.utils.formatEther(amountIn)} MON! Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    spinner.fail(`Failed to wrap MON: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+async function unwrapMon(wallet, amount) {
+  stopAllSpinners(); // Ensure no spinners are running
+  const spinner = createSpinner('Preparing to unwrap WMON...');
+  
+  try {
+    const amountIn = await resolveAmount(amount, 18, () => wmon.balanceOf(wallet.address));
+    
+    const wmonBalance = await wmon.balanceOf(wallet.address);
+    if (wmonBalance.lt(amountIn)) {
+      throw new Error(`Insufficient WMON: have ${ethers.utils.formatEther(wmonBalance)}, need ${ethers.utils.formatEther(amountIn)}`);
+    }
+    
+    const monBalance = await provider.getBalance(wallet.address);
+    const gasCost = (await getMaxGasPrice()).mul(GAS_LIMIT);
+    if (monBalance.lt(gasCost)) {
+      throw new Error(`Insufficient MON for gas: have ${ethers.utils.formatEther(monBalance)}, need up to ${ethers.utils.formatEther(gasCost)}`);
+    }
+    
+    spinner.text = 'Unwrapping WMON...';
+    const tx = await wmon.connect(wallet).withdraw(amountIn);
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    await confirmTransaction(tx);
+    
+    spinner.succeed(`Unwrapped ${ethers.utils.formatEther(amountIn)} WMON! Transaction hash: ${tx.hash}`);
+    return tx.hash;
+  } catch (error) {
+    spinner.fail(`Failed to unwrap WMON: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Prompt flow shared by the wrap/unwrap commands and the interactive menu
+async function promptWrap(direction, walletChoices) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Select a wallet:',
+      choices: walletChoices
+    },
+    {
+      type: 'input',
+      name: 'amount',
+      message: direction === 'wrap' ? 'Enter amount of MON to wrap (or "max" / "50%"):' : 'Enter amount of WMON to unwrap (or "max" / "50%"):',
+      validate: validateAmountInput
+    }
+  ]);
+  
+  const wallet = await walletManager.getWallet(answers.walletName);
+  if (!wallet) return;
+  
+  if (direction === 'wrap') {
+    await wrapMon(wallet, answers.amount);
+  } else {
+    await unwrapMon(wallet, answers.amount);
+  }
+}
+
+// Transfers - native MON or any ERC20 to another address
+
+// Mixed-case addresses must pass the EIP-55 checksum. Single-case input carries no
+// checksum, so callers should confirm the checksummed form before using it.
+function validateRecipient(input) {
+  const trimmed = input.trim();
+  if (!ethers.utils.isHexString(trimmed, 20)) {
+    throw new Error('Recipient must be a 0x-prefixed 20-byte address');
+  }
+  
+  const address = ethers.utils.getAddress(trimmed); // Throws on a bad checksum
+  const hexPart = trimmed.slice(2);
+  const hasChecksum = hexPart !== hexPart.toLowerCase() && hexPart !== hexPart.toUpperCase();
+  return { address, hasChecksum };
+}
+
+// Resolves the amount to send; "max" and percentages apply to the full token balance,
+// or the MON balance minus the exact gas cost of this transfer
+async function resolveSendAmount(wallet, asset, recipient, amountInput) {
+  const balance = await getAssetBalance(wallet.address, asset.address);
+  
+  let gasLimit;
+  if (asset.isNative) {
+    gasLimit = await provider.estimateGas({ from: wallet.address, to: recipient, value: 0 });
+  } else {
+    const token = new ethers.Contract(asset.address, ERC20_ABI, wallet);
+    const estimateAmount = await resolveAmount(amountInput, asset.decimals, async () => balance);
+    gasLimit = await token.estimateGas.transfer(recipient, estimateAmount);
+  }
+  const fees = await getFeeOverrides({ legacy: true });
+  const gasCost = fees.gasPrice.mul(gasLimit);
+  
+  const spendable = asset.isNative ? balance.sub(gasCost) : balance;
+  const amount = await resolveAmount(amountInput, asset.decimals, async () => spendable);
+  
+  if (amount.lte(0)) {
+    throw new Error(`Nothing to send: ${asset.symbol} balance is ${ethers.utils.formatUnits(balance, asset.decimals)}`);
+  }
+  if (amount.gt(balance) || (asset.isNative && amount.add(gasCost).gt(balance))) {
+    throw new Error(`Insufficient ${asset.symbol}: have ${ethers.utils.formatUnits(balance, asset.decimals)}, need ${ethers.utils.formatUnits(amount, asset.decimals)}${asset.isNative ? ` plus ${ethers.utils.formatEther(gasCost)} for gas` : ''}`);
+  }
+  
+  return { amount, gasLimit, gasCost, fees };
+}
+
+function displayReceipt(receipt) {
+  console.log('\n=== Transaction Receipt ===');
+  console.log(`Hash: ${receipt.transactionHash}`);
+  console.log(`Status: ${receipt.status === 1 ? 'Success' : 'Reverted'}`);
+  console.log(`Block: ${receipt.blockNumber}`);
+  console.log(`From: ${receipt.from}`);
+  console.log(`To: ${receipt.to}`);
+  console.log(`Gas Used: ${receipt.gasUsed.toString()}`);
+  console.log(`Fee: ${ethers.utils.formatEther(getReceiptFee(receipt))} MON`);
+  console.log('===========================\n');
+}
+
+async function sendAsset(wallet, asset, recipient, amountInput) {
+  stopAllSpinners(); // Ensure no spinners are running
+  const spinner = createSpinner('Preparing transfer...');
+  
+  try {
+    const { amount, gasLimit, fees } = await resolveSendAmount(wallet, asset, recipient, amountInput);
+    
+    spinner.text = `Sending ${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol} to ${recipient}...`;
+    let tx;
+    if (asset.isNative) {
+      tx = await wallet.sendTransaction({
+        to: recipient,
+        value: amount,
+        gasLimit,
+        ...fees
+      });
+    } else {
+      const token = new ethers.Contract(asset.address, ERC20_ABI, wallet);
+      tx = await token.transfer(recipient, amount, {
+        gasLimit,
+        ...fees
+      });
+    }
+    
+    spinner.text = `Waiting for transaction to be confirmed...`;
+    const receipt = await confirmTransaction(tx);
+    
+    spinner.succeed(`Sent ${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol} to ${recipient}`);
+    displayReceipt(receipt);
+    return tx.hash;
+  } catch (error) {
+    spinner.fail(`Transfer failed: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Prompt flow shared by the send command and the interactive menu
+async function promptSend(walletChoices) {
+  const tokens = await getAllTokens();
+  const assetChoices = [
+    { name: 'MON', value: 'MON' },
+    ...Object.keys(tokens).map(symbol => ({ name: symbol, value: symbol })),
+    { name: 'Other token (enter address)', value: 'custom' }
+  ];
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'walletName',
+      message: 'Select a wallet:',
+      choices: walletChoices
+    },
+    {
+      type: 'list',
+      name: 'asset',
+      message: 'Select what to send:',
+      choices: assetChoices
+    },
+    {
+      type: 'input',
+      name: 'customToken',
+      message: 'Enter the token address:',
+      when: (answers) => answers.asset === 'custom',
+      validate: (input) => ethers.utils.isAddress(input) || 'Invalid token address'
+    },
+    {
+      type: 'input',
+      name: 'recipient',
+      message: 'Enter the recipient address:',
+      validate: (input) => {
+        try {
+          validateRecipient(input);
+          return true;
+        } catch (error) {
+          return error.message.includes('checksum') ? 'Address checksum is invalid - check for typos' : error.message;
+        }
+      }
+    },
+    {
+      type: 'input',
+      name: 'amount',
+      message: 'Enter amount to send (or "max" / "50%"):',
+      validate: validateAmountInput
+    }
+  ]);
+  
+  const wallet = await walletManager.getWallet(answers.walletName);
+  if (!wallet) return;
+  
+  const asset = await resolveToken(answers.asset === 'custom' ? answers.customToken : answers.asset);
+  const { address, hasChecksum } = validateRecipient(answers.recipient);
+  
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `${hasChecksum ? '' : 'Address had no checksum. '}Send ${answers.amount} ${asset.symbol} to ${address}?`,
+      default: false
+    }
+  ]);
+  if (!confirmed) {
+    console.log('Cancelled');
+    return;
+  }
+  
+  await sendAsset(wallet, asset, address, answers.amount);
+}
+
+// Disperse - fund many addresses from one wallet. Progress is written to
+// disperse-progress.json after every transfer so an interrupted run can resume.
+const DISPERSE_PROGRESS_PATH = path.join(process.cwd(), 'disperse-progress.json');
+
+function loadDisperseProgress() {
+  try {
+    if (fs.existsSync(DISPERSE_PROGRESS_PATH)) {
+      return JSON.parse(fs.readFileSync(DISPERSE_PROGRESS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading ${DISPERSE_PROGRESS_PATH}: ${error.message}`);
+  }
+  return {};
+}
+
+function saveDisperseProgress(progress) {
+  if (dryRun.enabled) return; // Simulated transfers must not be resumed as sent
+  fs.writeFileSync(DISPERSE_PROGRESS_PATH, JSON.stringify(progress, null, 2));
+}
+
+// Reads "address,amount" rows. Blank lines, # comments and a leading header row are skipped.
+function parseDisperseCsv(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  const targets = [];
+  const errors = [];
+  
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    
+    const [address = '', amount = ''] = trimmed.split(',').map(field => field.trim());
+    if (targets.length === 0 && errors.length === 0 && !address.startsWith('0x')) return; // Header
+    
+    try {
+      const recipient = validateRecipient(address);
+      if (validateExactAmountInput(amount) !== true || parseDecimalAmount(amount, 18).isZero()) {
+        throw new Error(`invalid amount "${amount}"`);
+      }
+      targets.push({ label: recipient.address, address: recipient.address, amount, hasChecksum: recipient.hasChecksum });
+    } catch (error) {
+      errors.push(`line ${index + 1}: ${error.message}`);
+    }
+  });
   
-  const results = [];
-  const overallResults = {};
+  if (errors.length > 0) {
+    throw new Error(`Invalid rows in ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+  if (targets.length === 0) {
+    throw new Error(`No recipients found in ${filePath}`);
+  }
   
-  // Initialize results tracking for each wallet
-  for (const name of walletNames) {
-    overallResults[name] = {
-      completedSwaps: 0,
-      successfulSwaps: 0,
-      failures: []
-    };
+  const unchecksummed = targets.filter(t => !t.hasChecksum).length;
+  if (unchecksummed > 0) {
+    console.log(chalk.yellow(`${unchecksummed} address(es) in ${filePath} have no checksum; double-check them before sending.`));
+  }
+  return targets;
+}
+
+// Every wallet in the group except the source receives the same amount
+function getGroupDisperseTargets(groupName, amount, sourceAddress) {
+  const walletNames = walletManager.getGroup(groupName);
+  if (!walletNames) {
+    throw new Error(`Group ${groupName} not found`);
   }
   
-  // Perform swaps in rounds, with each wallet completing one swap per round
-  for (let round = 0; round < totalSwapsPerWallet; round++) {
-    console.log(chalk.yellow(`\n=== Starting Round ${round + 1}/${totalSwapsPerWallet} ===`));
+  const targets = walletNames
+    .map(name => ({ label: name, address: walletManager.wallets[name].address, amount }))
+    .filter(target => target.address.toLowerCase() !== sourceAddress.toLowerCase());
+  if (targets.length === 0) {
+    throw new Error(`Group ${groupName} has no wallets other than the source`);
+  }
+  return targets;
+}
+
+async function estimateTransferGas(wallet, asset, recipient, value) {
+  if (asset.isNative) {
+    return provider.estimateGas({ from: wallet.address, to: recipient, value });
+  }
+  const token = new ethers.Contract(asset.address, ERC20_ABI, wallet);
+  return token.estimateGas.transfer(recipient, value);
+}
+
+// A transfer with a hash was broadcast by an earlier run, perhaps along with speed-ups or a
+// cancel. Returns 'sent', 'pending' when its outcome can't be settled yet, or null when it
+// must be resent: it reverted, was cancelled, or the node no longer knows it and its nonce
+// is still free.
+async function resolvePendingTransfer(wallet, entry, onReplacement) {
+  const replacements = entry.replacements || [];
+  const hashes = [entry.hash, ...replacements.map(replacement => replacement.hash)];
+  const cancelHashes = new Set(replacements.filter(replacement => replacement.cancel).map(replacement => replacement.hash));
+  
+  // They share a nonce, so at most one of them is ever mined
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt.status === 1 && !cancelHashes.has(hash) ? 'sent' : null;
+  }
+  
+  let tx = null;
+  for (const hash of [...hashes].reverse()) {
+    tx = await provider.getTransaction(hash);
+    if (tx) break;
+  }
+  if (!tx) {
+    // Something else mined with this nonce (a replacement sent outside this run, say), so
+    // whether the recipient was paid can't be told from here
+    const minedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+    if (entry.nonce !== undefined && minedNonce > entry.nonce) {
+      entry.error = `nonce ${entry.nonce} was used by another transaction; check whether ${entry.address} was paid before removing ${DISPERSE_PROGRESS_PATH}`;
+      return 'pending';
+    }
+    return null;
+  }
+  
+  // Still in the mempool: wait under the pending transaction policy like a fresh send
+  trackPendingTransaction(wallet, tx);
+  try {
+    const receipt = await waitForReceipt(tx, onReplacement);
+    return receipt.status === 1 && !cancelHashes.has(receipt.transactionHash) ? 'sent' : null;
+  } catch (error) {
+    if (error.code === 'TRANSACTION_CANCELLED') return null;
+    entry.error = getRevertReason(error);
+    return 'pending';
+  }
+}
+
+function displayDisperseReport(asset, transfers, entries) {
+  console.log('\n=== Disperse Report ===');
+  transfers.forEach((transfer, index) => {
+    const entry = entries[index] || {};
+    const status = entry.status === 'sent' ? chalk.green('sent') : chalk.red(entry.status || 'not sent');
+    const detail = entry.status === 'sent' ? entry.hash : (entry.error || entry.hash || '');
+    console.log(`${transfer.label} (${transfer.address}): ${transfer.amount} ${asset.symbol} - ${status} ${detail}`);
+  });
+  
+  const sent = transfers.filter((_, index) => entries[index] && entries[index].status === 'sent').length;
+  console.log(`\n${sent}/${transfers.length} transfers succeeded`);
+  console.log('=======================\n');
+}
+
+async function disperseFunds(wallet, asset, targets) {
+  stopAllSpinners(); // Ensure no spinners are running
+  
+  const transfers = targets.map(target => ({
+    ...target,
+    value: parseDecimalAmount(target.amount, asset.decimals)
+  }));
+  
+  // The run is identified by its exact plan, so rerunning the same command resumes it
+  const runId = ethers.utils.id(JSON.stringify({
+    from: wallet.address,
+    asset: asset.address,
+    transfers: transfers.map(t => [t.address, t.value.toString()])
+  }));
+  const progress = loadDisperseProgress();
+  const run = progress[runId] || { from: wallet.address, asset: asset.symbol, createdAt: new Date().toISOString(), recipients: {} };
+  progress[runId] = run;
+  
+  // Speed-ups and cancels are saved as they are sent, so a later run checks them too
+  const recordReplacement = entry => (replacement, action) => {
+    entry.replacements = [...(entry.replacements || []), { hash: replacement.hash, cancel: action === 'cancel' }];
+    saveDisperseProgress(progress);
+  };
+  
+  const spinner = createSpinner('Checking previous progress...');
+  try {
+    // Anything broadcast before is settled from the chain first, so nothing is paid twice
+    for (const [index, entry] of Object.entries(run.recipients)) {
+      if (entry.status === 'sent') continue;
+      if (entry.hash) {
+        spinner.start(`Checking earlier transfer ${entry.hash}...`);
+        const status = await resolvePendingTransfer(wallet, entry, recordReplacement(entry));
+        if (status) {
+          entry.status = status;
+          continue;
+        }
+      }
+      delete run.recipients[index];
+    }
+    saveDisperseProgress(progress);
     
-    // Shuffle wallet names for this round to randomize order
-    const randomizedWallets = randomUtils.shuffleArray(walletNames);
+    const pending = Object.values(run.recipients).filter(entry => entry.status === 'pending');
+    if (pending.length > 0) {
+      spinner.stop();
+      console.log(chalk.yellow(`\n${pending.length} earlier transfer(s) are still unsettled and won't be resent:`));
+      pending.forEach(entry => console.log(chalk.yellow(`  ${entry.address}: ${entry.hash}${entry.error ? ` - ${entry.error}` : ''}`)));
+    }
     
-    for (let i = 0; i < randomizedWallets.length; i++) {
-      const name = randomizedWallets[i];
-      const wallet = walletManager.getWallet(name);
-      if (!wallet) continue;
-      
-      console.log(`\nProcessing wallet ${i+1}/${randomizedWallets.length} in this round: ${name} (${wallet.address})`);
-      console.log(`This is swap ${round+1}/${totalSwapsPerWallet} for this wallet`);
-      
+    const remaining = transfers
+      .map((transfer, index) => ({ ...transfer, index }))
+      .filter(transfer => !run.recipients[transfer.index]);
+    
+    if (remaining.length === 0) {
+      if (pending.length > 0) {
+        spinner.stop();
+        console.log(chalk.yellow('Nothing left to send until the unsettled transfers are resolved. Run the same command again later.'));
+      } else {
+        spinner.succeed('All transfers in this run were already sent');
+        delete progress[runId];
+      }
+      saveDisperseProgress(progress);
+      displayDisperseReport(asset, transfers, run.recipients);
+      return run.recipients;
+    }
+    
+    // Check the source can cover everything still to send, using the first transfer's gas as a guide
+    spinner.start('Checking balances...');
+    const total = remaining.reduce((sum, transfer) => sum.add(transfer.value), ethers.BigNumber.from(0));
+    const gasLimit = await estimateTransferGas(wallet, asset, remaining[0].address, remaining[0].value);
+    const gasCost = (await getMaxGasPrice()).mul(gasLimit).mul(remaining.length);
+    const monBalance = await provider.getBalance(wallet.address);
+    const assetBalance = asset.isNative ? monBalance : await getAssetBalance(wallet.address, asset.address);
+    spinner.stop();
+    
+    if (assetBalance.lt(total)) {
+      throw new Error(`Insufficient ${asset.symbol}: have ${ethers.utils.formatUnits(assetBalance, asset.decimals)}, need ${ethers.utils.formatUnits(total, asset.decimals)}`);
+    }
+    const monNeeded = asset.isNative ? total.add(gasCost) : gasCost;
+    if (monBalance.lt(monNeeded)) {
+      throw new Error(`Insufficient MON for ${asset.isNative ? 'transfers and ' : ''}gas: have ${ethers.utils.formatEther(monBalance)}, need about ${ethers.utils.formatEther(monNeeded)}`);
+    }
+    
+    const alreadySent = transfers.length - remaining.length - pending.length;
+    console.log(`\nDispersing ${ethers.utils.formatUnits(total, asset.decimals)} ${asset.symbol} to ${remaining.length} recipient(s) from ${wallet.address}`);
+    if (alreadySent > 0) {
+      console.log(chalk.yellow(`Resuming a previous run: ${alreadySent} of ${transfers.length} transfers already sent`));
+    }
+    console.log(`Estimated gas cost: ${ethers.utils.formatEther(gasCost)} MON`);
+    
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Send these transfers?',
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      console.log('Cancelled');
+      return run.recipients;
+    }
+    
+    for (const [position, transfer] of remaining.entries()) {
+      spinner.start(`(${position + 1}/${remaining.length}) Sending ${transfer.amount} ${asset.symbol} to ${transfer.label}...`);
       try {
-        let result;
+        const transferGas = await estimateTransferGas(wallet, asset, transfer.address, transfer.value);
+        const overrides = { gasLimit: transferGas };
+        const tx = asset.isNative
+          ? await wallet.sendTransaction({ to: transfer.address, value: transfer.value, ...overrides })
+          : await new ethers.Contract(asset.address, ERC20_ABI, wallet).transfer(transfer.address, transfer.value, overrides);
         
-        // Current swap parameters
-        const params = { ...swapParameters };
+        run.recipients[transfer.index] = { address: transfer.address, status: 'pending', hash: tx.hash, nonce: tx.nonce };
+        saveDisperseProgress(progress);
         
-        if (params.swapType === 'monToToken') {
-          // Dynamic amount for each round if needed
-          if (params.dynamicAmount) {
-            const currentMonBalance = await provider.getBalance(wallet.address);
-            const currentMonFloat = parseFloat(ethers.utils.formatEther(currentMonBalance));
-            const maxPossibleAmount = Math.min(params.maxAmount, currentMonFloat * 0.7);
-            if (maxPossibleAmount < params.minAmount) {
-              console.log(chalk.red(`MON balance (${currentMonFloat}) is too low for minimum swap amount (${params.minAmount}). Skipping this swap.`));
-              overallResults[name].failures.push({
-                round: round + 1,
-                error: 'Insufficient balance'
-              });
-              continue;
-            }
-            
-            params.amount = randomUtils.getRandomFloat(params.minAmount, maxPossibleAmount);
-            console.log(`Using random amount: ${params.amount.toFixed(4)} MON`);
-          }
-          
-          const hash = await swapMonForToken(wallet, params.tokenAddress, params.amount, params.slippage);
-          result = { success: true, hash };
-        } else if (params.swapType === 'tokenToMon') {
-          // Get token info for balance checks
-          const tokenInfo = await findTokenByAddress(params.tokenAddress);
-          const tokenContract = new ethers.Contract(params.tokenAddress, ERC20_ABI, provider);
-          const tokenBalance = await tokenContract.balanceOf(wallet.address);
-          const tokenBalanceFormatted = ethers.utils.formatUnits(tokenBalance, tokenInfo.decimals);
-          
-          if (parseFloat(tokenBalanceFormatted) <= 0) {
-            console.log(chalk.red(`No ${tokenInfo.symbol} balance. Skipping this swap.`));
-            overallResults[name].failures.push({
-              round: round + 1,
-              error: `No ${tokenInfo.symbol} balance`
-            });
-            continue;
-          }
-          
-          // Dynamic amount based on available balance
-          let tokenAmountToSwap;
-          if (params.dynamicAmount) {
-            // Use a maximum of 90% of token balance and respect token decimals
-            tokenAmountToSwap = (parseFloat(tokenBalanceFormatted) * 0.9).toFixed(tokenInfo.decimals);
-          } else {
-            tokenAmountToSwap = Math.min(params.amount, parseFloat(tokenBalanceFormatted));
-          }
-          
-          console.log(`Swapping ${tokenAmountToSwap} ${tokenInfo.symbol}`);
-          
-          const hash = await swapTokenForMon(wallet, params.tokenAddress, tokenAmountToSwap, params.slippage);
-          result = { success: true, hash };
-        } else if (params.swapType === 'roundtrip') {
-          // Dynamic amount for roundtrip
-          let roundtripAmount = params.amount;
-          if (params.dynamicAmount) {
-            const currentMonBalance = await provider.getBalance(wallet.address);
-            const currentMonFloat = parseFloat(ethers.utils.formatEther(currentMonBalance));
-            const maxPossibleAmount = Math.min(params.maxAmount, currentMonFloat * 0.7);
-            
-            if (maxPossibleAmount < params.minAmount) {
-              console.log(chalk.red(`MON balance (${currentMonFloat}) is too low for minimum roundtrip amount (${params.minAmount}). Skipping this roundtrip.`));
-              overallResults[name].failures.push({
-                round: round + 1,
-                error: 'Insufficient balance for roundtrip'
-              });
-              continue;
-            }
-            
-            roundtripAmount = randomUtils.getRandomFloat(params.minAmount, maxPossibleAmount);
-            console.log(`Using random amount for roundtrip: ${roundtripAmount.toFixed(4)} MON`);
-          }
-          
-          result = await performRoundtrip(wallet, params.tokenAddress, roundtripAmount, params.slippage);
-        } else if (params.swapType === 'autoRandom') {
-          // For auto random, select a random token each time
-          const randomToken = await randomUtils.selectRandomToken();
-          console.log(`Selected random token for this round: ${randomToken.symbol}`);
-          
-          // Get current MON balance to determine possible amount
-          const currentMonBalance = await provider.getBalance(wallet.address);
-          const currentMonFloat = parseFloat(ethers.utils.formatEther(currentMonBalance));
-          const maxPossibleAmount = Math.min(params.maxAmount, currentMonFloat * 0.7);
-          
-          if (maxPossibleAmount < params.minAmount) {
-            console.log(chalk.red(`MON balance (${currentMonFloat}) is too low for minimum swap amount (${params.minAmount}). Skipping this swap.`));
-            overallResults[name].failures.push({
-              round: round + 1,
-              error: 'Insufficient balance'
-            });
-            continue;
-          }
-          
-          const randomAmount = randomUtils.getRandomFloat(params.minAmount, maxPossibleAmount);
-          console.log(`Using random amount: ${randomAmount.toFixed(4)} MON`);
-          
-          // Decide randomly what to do (MON to Token, Token to MON, or roundtrip)
-          // Check if we have any token balance first
-          const tokenContract = new ethers.Contract(randomToken.address, ERC20_ABI, provider);
-          const tokenBalance = await tokenContract.balanceOf(wallet.address);
-          const tokenBalanceFormatted = ethers.utils.formatUnits(tokenBalance, randomToken.decimals);
-          
-          let action = 'monToToken'; // Default action
-          let hash;
-          
-          // If we have tokens, randomly decide between actions
-          if (parseFloat(tokenBalanceFormatted) > 0) {
-            const actions = ['monToToken', 'tokenToMon', 'roundtrip'];
-            action = actions[randomUtils.getRandomInt(0, 2)];
-          }
-          
-          try {
-            switch (action) {
-              case 'monToToken':
-                console.log('Randomly selected action: MON to Token');
-                hash = await swapMonForToken(wallet, randomToken.address, randomAmount, params.slippage);
-                break;
-              case 'tokenToMon':
-                console.log('Randomly selected action: Token to MON');
-                // Use a maximum of 90% of token balance and respect token decimals
-                const tokenDecimalPlaces = randomToken.decimals;
-                const tokenAmountToSwap = (parseFloat(tokenBalanceFormatted) * 0.9).toFixed(tokenDecimalPlaces);
-                hash = await swapTokenForMon(wallet, randomToken.address, tokenAmountToSwap, params.slippage);
-                break;
-              case 'roundtrip':
-                console.log('Randomly selected action: Roundtrip');
-                const rtResult = await performRoundtrip(wallet, randomToken.address, randomAmount, params.slippage);
-                hash = rtResult.swaps;
-                break;
-            }
-            
-            result = {
-              success: true,
-              token: randomToken.symbol,
-              action,
-              amount: action === 'tokenToMon' ? 
-                      `${(parseFloat(tokenBalanceFormatted) * 0.9).toFixed(randomToken.decimals)} ${randomToken.symbol}` : 
-                      `${randomAmount.toFixed(4)} MON`,
-              hash
-            };
-          } catch (error) {
-            console.error(`Regular action failed: ${error.message}`);
-            
-            // Fallback to direct transaction as activity
-            try {
-              hash = (await wallet.sendTransaction({
-                to: randomToken.address,
-                value: ethers.utils.parseEther((randomAmount / 4).toString()),
-                gasLimit: GAS_LIMIT,
-                gasPrice: GAS_PRICE
-              })).hash;
-              console.log(`Fallback - direct MON transaction completed: ${hash}`);
-              
-              result = {
-                success: true,
-                token: randomToken.symbol,
-                action: `${action} (fallback)`,
-                amount: `${randomAmount.toFixed(4)} MON`,
-                hash
-              };
-            } catch (fallbackError) {
-              throw error; // Propagate the original error
-            }
-          }
+        const receipt = await waitForReceipt(tx, recordReplacement(run.recipients[transfer.index]));
+        if (receipt.status === 1) {
+          run.recipients[transfer.index].status = 'sent';
+          spinner.succeed(`Sent ${transfer.amount} ${asset.symbol} to ${transfer.label}`);
+        } else {
+          run.recipients[transfer.index].status = 'failed';
+          run.recipients[transfer.index].error = 'Transaction reverted';
+          spinner.fail(`Transfer to ${transfer.label} reverted: ${tx.hash}`);
         }
-        
-        // Record successful swap
-        overallResults[name].completedSwaps++;
-        overallResults[name].successfulSwaps++;
-        
-        results.push({
-          round: round + 1,
-          wallet: name,
-          success: true,
-          result
-        });
-        
       } catch (error) {
-        console.error(`Failed for wallet ${name} in round ${round + 1}: ${error.message}`);
-        
-        // Record failure
-        overallResults[name].completedSwaps++;
-        overallResults[name].failures.push({
-          round: round + 1,
-          error: error.message
-        });
-        
-        results.push({
-          round: round + 1,
-          wallet: name,
-          success: false,
-          error: error.message
-        });
+        // Once broadcast, a transfer whose wait failed is checked on the next run instead of
+        // being sent again: it may still be mined
+        const broadcast = Boolean(run.recipients[transfer.index] && run.recipients[transfer.index].hash);
+        const status = broadcast ? 'pending' : 'failed';
+        run.recipients[transfer.index] = { ...run.recipients[transfer.index], address: transfer.address, status, error: getRevertReason(error) };
+        spinner.fail(`Transfer to ${transfer.label} failed: ${getRevertReason(error)}`);
+      }
+      saveDisperseProgress(progress);
+    }
+    
+    const failed = Object.values(run.recipients).filter(entry => entry.status !== 'sent').length;
+    if (failed === 0) {
+      delete progress[runId];
+    } else {
+      console.log(chalk.yellow(`${failed} transfer(s) failed or are unconfirmed. Run the same command again to check and retry them; broadcast transfers are only resent once the chain shows they didn't go through.`));
+    }
+    saveDisperseProgress(progress);
+    
+    displayDisperseReport(asset, transfers, run.recipients);
+    return run.recipients;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+// Prompts for anything not given on the command line
+async function promptDisperse(walletChoices, options = {}) {
+  const groups = walletManager.listGroups();
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'from',
+      message: 'Select the source wallet:',
+      choices: walletChoices,
+      when: () => !options.from
+    },
+    {
+      type: 'list',
+      name: 'targetType',
+      message: 'Send to:',
+      choices: [
+        { name: 'A wallet group', value: 'group', disabled: groups.length === 0 && 'no groups yet, see wallet-group' },
+        { name: 'A CSV file (address,amount)', value: 'csv' }
+      ],
+      when: () => !options.group && !options.csv
+    },
+    {
+      type: 'list',
+      name: 'group',
+      message: 'Select a wallet group:',
+      choices: groups.map(g => ({ name: `${g.name} (${g.wallets.length} wallets)`, value: g.name })),
+      when: (answers) => answers.targetType === 'group'
+    },
+    {
+      type: 'input',
+      name: 'csv',
+      message: 'Enter the path to the CSV file:',
+      when: (answers) => answers.targetType === 'csv',
+      validate: (input) => fs.existsSync(input) || 'File not found'
+    },
+    {
+      type: 'input',
+      name: 'token',
+      message: 'Token to send (MON, a symbol or an address):',
+      default: 'MON',
+      when: () => !options.token
+    },
+    {
+      type: 'input',
+      name: 'amount',
+      message: 'Enter amount per wallet:',
+      when: (answers) => (options.group || answers.group) && !options.amount,
+      validate: validateExactAmountInput
+    }
+  ]);
+  
+  const settings = { ...options, ...answers };
+  const wallet = await walletManager.getWallet(settings.from);
+  if (!wallet) return;
+  
+  const asset = await resolveToken(settings.token || 'MON');
+  const targets = settings.group
+    ? getGroupDisperseTargets(settings.group, String(settings.amount), wallet.address)
+    : parseDisperseCsv(settings.csv);
+  
+  await disperseFunds(wallet, asset, targets);
+}
+
+// Every known ERC20 plus WMON, as resolveToken-style assets
+async function getKnownTokenAssets() {
+  const tokens = await getAllTokens();
+  const assets = Object.entries(tokens).map(([symbol, data]) => ({ symbol, ...data, isNative: false }));
+  if (!assets.some(asset => asset.address.toLowerCase() === WRAPPED_MONAD.toLowerCase())) {
+    assets.push({ symbol: 'WMON', address: WRAPPED_MONAD, decimals: 18, isNative: false });
+  }
+  return assets;
+}
+
+// Sweep - consolidate every balance from many wallets into one destination.
+// Tokens go first, then the remaining MON minus the exact gas for its own transfer.
+
+// minBalance in 18-decimal units, rounded down to a token with fewer decimals
+function getSweepThreshold(minBalance, decimals) {
+  return decimals <= 18
+    ? minBalance.div(ethers.BigNumber.from(10).pow(18 - decimals))
+    : minBalance.mul(ethers.BigNumber.from(10).pow(decimals - 18));
+}
+
+// minBalance (parsed with 18 decimals) is compared in each asset's own units; balances
+// below it are left behind as dust
+async function buildSweepPlan(sources, destination, minBalance) {
+  const assets = await getKnownTokenAssets();
+  const plan = [];
+  
+  for (const { name, wallet } of sources) {
+    const entry = { name, wallet, tokens: [], mon: null, fees: await getFeeOverrides({ legacy: true }) };
+    const monBalance = await provider.getBalance(wallet.address);
+    let gasReserved = ethers.BigNumber.from(0);
+    
+    for (const asset of assets) {
+      const balance = await getAssetBalance(wallet.address, asset.address);
+      if (balance.isZero()) continue;
+      
+      const row = { asset, amount: balance, action: 'sweep' };
+      if (balance.lt(getSweepThreshold(minBalance, asset.decimals))) {
+        row.action = 'skip (dust)';
+      } else {
+        row.gasLimit = await estimateTransferGas(wallet, asset, destination, balance);
+        const gasCost = entry.fees.gasPrice.mul(row.gasLimit);
+        if (monBalance.lt(gasReserved.add(gasCost))) {
+          row.action = 'skip (no MON for gas)';
+        } else {
+          gasReserved = gasReserved.add(gasCost);
+        }
+      }
+      entry.tokens.push(row);
+    }
+    
+    const monGasLimit = await provider.estimateGas({ from: wallet.address, to: destination, value: 0 });
+    const monAmount = monBalance.sub(gasReserved).sub(entry.fees.gasPrice.mul(monGasLimit));
+    entry.mon = { amount: monAmount, gasLimit: monGasLimit, action: 'sweep' };
+    if (monAmount.lte(0)) {
+      entry.mon.action = 'skip (covers gas only)';
+    } else if (monAmount.lt(minBalance)) {
+      entry.mon.action = 'skip (dust)';
+    }
+    
+    plan.push(entry);
+  }
+  
+  return plan;
+}
+
+function displaySweepPlan(plan, destination) {
+  console.log(`\n=== Sweep Preview → ${destination} ===`);
+  console.log(`${'Wallet'.padEnd(16)}${'Asset'.padEnd(12)}${'Amount'.padEnd(28)}Action`);
+  
+  const totals = {};
+  for (const entry of plan) {
+    const rows = [...entry.tokens, { ...entry.mon, asset: { symbol: 'MON', decimals: 18 } }];
+    for (const row of rows) {
+      const amount = row.amount.gt(0) ? ethers.utils.formatUnits(row.amount, row.asset.decimals) : '0';
+      const action = row.action === 'sweep' ? chalk.green(row.action) : chalk.gray(row.action);
+      console.log(`${entry.name.padEnd(16)}${row.asset.symbol.padEnd(12)}${amount.padEnd(28)}${action}`);
+      
+      if (row.action === 'sweep') {
+        const key = row.asset.symbol;
+        totals[key] = totals[key] || { amount: ethers.BigNumber.from(0), decimals: row.asset.decimals };
+        totals[key].amount = totals[key].amount.add(row.amount);
+      }
+    }
+  }
+  
+  console.log('\nTotal to sweep:');
+  if (Object.keys(totals).length === 0) console.log('  Nothing');
+  for (const [symbol, total] of Object.entries(totals)) {
+    console.log(`  ${symbol}: ${ethers.utils.formatUnits(total.amount, total.decimals)}`);
+  }
+  console.log('====================================\n');
+}
+
+async function executeSweep(plan, destination, minBalance) {
+  const results = [];
+  const spinner = createSpinner('Sweeping...');
+  
+  try {
+    for (const entry of plan) {
+      const { name, wallet } = entry;
+      
+      for (const row of entry.tokens.filter(r => r.action === 'sweep')) {
+        spinner.start(`${name}: sending ${ethers.utils.formatUnits(row.amount, row.asset.decimals)} ${row.asset.symbol}...`);
+        try {
+          const token = new ethers.Contract(row.asset.address, ERC20_ABI, wallet);
+          const tx = await token.transfer(destination, row.amount, { gasLimit: row.gasLimit, ...entry.fees });
+          await confirmTransaction(tx);
+          spinner.succeed(`${name}: sent ${ethers.utils.formatUnits(row.amount, row.asset.decimals)} ${row.asset.symbol}`);
+          results.push({ name, asset: row.asset.symbol, success: true, hash: tx.hash });
+        } catch (error) {
+          spinner.fail(`${name}: ${row.asset.symbol} transfer failed: ${getRevertReason(error)}`);
+          results.push({ name, asset: row.asset.symbol, success: false, error: getRevertReason(error) });
+        }
       }
       
-      // Short delay between wallets (1-5 seconds)
-      if (i < randomizedWallets.length - 1) {
-        await randomUtils.sleep(1000, 5000);
+      if (entry.mon.action !== 'sweep') continue;
+      
+      // Token transfers may have used less gas than estimated, so re-read the balance
+      spinner.start(`${name}: sending remaining MON...`);
+      try {
+        const balance = await provider.getBalance(wallet.address);
+        const gasLimit = await provider.estimateGas({ from: wallet.address, to: destination, value: 0 });
+        const fees = await getFeeOverrides({ legacy: true });
+        const amount = balance.sub(fees.gasPrice.mul(gasLimit));
+        if (amount.lte(0) || amount.lt(minBalance)) {
+          spinner.info(`${name}: remaining MON is below the threshold, skipped`);
+          continue;
+        }
+        
+        const tx = await wallet.sendTransaction({ to: destination, value: amount, gasLimit, ...fees });
+        await confirmTransaction(tx);
+        spinner.succeed(`${name}: sent ${ethers.utils.formatEther(amount)} MON`);
+        results.push({ name, asset: 'MON', success: true, hash: tx.hash });
+      } catch (error) {
+        spinner.fail(`${name}: MON transfer failed: ${getRevertReason(error)}`);
+        results.push({ name, asset: 'MON', success: false, error: getRevertReason(error) });
       }
     }
-    
-    // Short delay between rounds (3-8 seconds)
-    if (round < totalSwapsPerWallet - 1) {
-      console.log(chalk.blue(`\nCompleted round ${round + 1}. Preparing for next round...`));
-      await randomUtils.sleep(3000, 8000);
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+  
+  const succeeded = results.filter(r => r.success).length;
+  console.log(`\nSweep complete: ${succeeded}/${results.length} transfers succeeded`);
+  results.filter(r => !r.success).forEach(r => console.log(chalk.red(`  ${r.name} ${r.asset}: ${r.error}`)));
+  return results;
+}
+
+// A destination may be a wallet name or an address
+function resolveSweepDestination(input) {
+  if (walletManager.wallets[input]) {
+    return walletManager.wallets[input].address;
+  }
+  return validateRecipient(input).address;
+}
+
+// Prompts for anything not given on the command line
+async function promptSweep(walletChoices, options = {}) {
+  if (options.minBalance !== undefined) {
+    parseDecimalAmount(options.minBalance, 18); // Reject a bad --min-balance before prompting
+  }
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'wallets',
+      message: 'Select wallets to sweep:',
+      choices: walletChoices,
+      when: () => !options.wallets && !options.group
+    },
+    {
+      type: 'input',
+      name: 'to',
+      message: 'Destination (wallet name or address):',
+      when: () => !options.to,
+      validate: (input) => {
+        try {
+          resolveSweepDestination(input);
+          return true;
+        } catch (error) {
+          return 'Enter a wallet name or a valid checksummed address';
+        }
+      }
+    },
+    {
+      type: 'input',
+      name: 'minBalance',
+      message: 'Skip balances below (in each token\'s units):',
+      default: '0',
+      validate: validateExactAmountInput,
+      when: () => options.minBalance === undefined
+    }
+  ]);
+  
+  const settings = { ...options, ...answers };
+  const minBalance = parseDecimalAmount(settings.minBalance, 18);
+  let walletNames = settings.wallets;
+  if (settings.group) {
+    walletNames = walletManager.getGroup(settings.group);
+    if (!walletNames) {
+      throw new Error(`Group ${settings.group} not found`);
     }
   }
   
-  // Display summary
-  console.log(chalk.blue('\n=== Multi-Wallet Operation Summary ==='));
+  const destination = resolveSweepDestination(settings.to);
+  walletNames = walletNames.filter(name => !walletManager.wallets[name] ||
+    walletManager.wallets[name].address.toLowerCase() !== destination.toLowerCase());
+  if (walletNames.length === 0) {
+    console.log('No wallets to sweep');
+    return;
+  }
   
-  let totalSuccessful = 0;
-  let totalAttempted = 0;
+  const sources = [];
+  for (const name of walletNames) {
+    const wallet = await walletManager.getWallet(name);
+    if (wallet) sources.push({ name, wallet });
+  }
   
-  for (const [name, stats] of Object.entries(overallResults)) {
-    totalSuccessful += stats.successfulSwaps;
-    totalAttempted += stats.completedSwaps;
-    
-    const successRate = stats.completedSwaps > 0 ? 
-                        Math.round((stats.successfulSwaps / stats.completedSwaps) * 100) : 0;
-    
-    console.log(`${name}: ${stats.successfulSwaps}/${stats.completedSwaps} successful (${successRate}%)`);
-    
-    if (stats.failures.length > 0) {
-      console.log(`  Failures: ${stats.failures.length}`);
-      // Only show the first few failures to avoid cluttering the console
-      const shownFailures = stats.failures.slice(0, Math.min(3, stats.failures.length));
-      for (const failure of shownFailures) {
-        console.log(`  - Round ${failure.round}: ${failure.error}`);
+  const spinner = createSpinner('Reading balances...');
+  let plan;
+  try {
+    plan = await buildSweepPlan(sources, destination, minBalance);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(`Could not build sweep plan: ${error.message}`);
+    throw error;
+  }
+  
+  displaySweepPlan(plan, destination);
+  if (dryRun.enabled) {
+    // Simulate the transfers too, so reverts and the real gas cost show up
+    await executeSweep(plan, destination, minBalance);
+    return;
+  }
+  
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Sweep these balances to ${destination}?`,
+      default: false
+    }
+  ]);
+  if (!confirmed) {
+    console.log('Cancelled');
+    return;
+  }
+  
+  await executeSweep(plan, destination, minBalance);
+}
+
+// Allowance manager - every spender this CLI approves tokens for
+const KNOWN_SPENDERS = {
+  [AMBIENT_ROUTER]: 'Router',
+  [CROC_SWAP_DEX]: 'Ambient DEX'
+};
+
+// Non-zero allowances for every wallet x known token x known spender
+async function getAllowances(wallets) {
+  const assets = await getKnownTokenAssets();
+  const allowances = [];
+  
+  for (const wallet of wallets) {
+    for (const asset of assets) {
+      const token = new ethers.Contract(asset.address, ERC20_ABI, provider);
+      for (const [spender, spenderName] of Object.entries(KNOWN_SPENDERS)) {
+        const amount = await token.allowance(wallet.address, spender);
+        if (amount.isZero()) continue;
+        allowances.push({ walletName: wallet.name, owner: wallet.address, asset, spender, spenderName, amount });
       }
-      if (stats.failures.length > 3) {
-        console.log(`  - ...and ${stats.failures.length - 3} more failures`);
+    }
+  }
+  
+  return allowances;
+}
+
+function formatAllowance(allowance) {
+  // Anything above 2^255 is treated as an infinite approval
+  const amount = allowance.amount.gte(ethers.constants.MaxUint256.div(2))
+    ? 'unlimited'
+    : ethers.utils.formatUnits(allowance.amount, allowance.asset.decimals);
+  return `${allowance.walletName}: ${allowance.asset.symbol} → ${allowance.spenderName} (${allowance.spender}): ${amount}`;
+}
+
+function displayAllowances(allowances) {
+  console.log('\n=== Token Allowances ===');
+  if (allowances.length === 0) {
+    console.log('No open allowances');
+  }
+  allowances.forEach(allowance => console.log(formatAllowance(allowance)));
+  console.log('========================\n');
+}
+
+async function revokeAllowances(allowances) {
+  let revoked = 0;
+  const spinner = createSpinner('Revoking allowances...');
+  
+  try {
+    for (const allowance of allowances) {
+      const wallet = await walletManager.getWallet(allowance.walletName);
+      if (!wallet) continue;
+      
+      spinner.start(`Revoking ${allowance.asset.symbol} → ${allowance.spenderName} for ${allowance.walletName}...`);
+      try {
+        const token = new ethers.Contract(allowance.asset.address, ERC20_ABI, wallet);
+        const tx = await token.approve(allowance.spender, 0);
+        await confirmTransaction(tx);
+        revoked++;
+        spinner.succeed(`Revoked ${allowance.asset.symbol} → ${allowance.spenderName} for ${allowance.walletName}: ${tx.hash}`);
+      } catch (error) {
+        spinner.fail(`Could not revoke ${allowance.asset.symbol} → ${allowance.spenderName} for ${allowance.walletName}: ${getRevertReason(error)}`);
       }
     }
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
   }
   
-  const overallSuccessRate = totalAttempted > 0 ? 
-                             Math.round((totalSuccessful / totalAttempted) * 100) : 0;
+  console.log(`Revoked ${revoked} of ${allowances.length} allowances`);
+  return revoked;
+}
+
+async function manageAllowances(revoke) {
+  const wallets = walletManager.listWallets();
+  if (wallets.length === 0) {
+    console.log('No wallets found. Add a wallet first.');
+    return;
+  }
   
-  console.log(`\nOverall: ${totalSuccessful}/${totalAttempted} successful swaps (${overallSuccessRate}%)`);
+  const spinner = createSpinner('Reading allowances...');
+  let allowances;
+  try {
+    allowances = await getAllowances(wallets);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail(`Error reading allowances: ${error.message}`);
+    return;
+  }
   
-  return {
-    results,
-    summary: overallResults
-  };
+  displayAllowances(allowances);
+  if (!revoke || allowances.length === 0) return;
+  
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selected',
+      message: 'Select allowances to revoke:',
+      choices: allowances.map((allowance, index) => ({ name: formatAllowance(allowance), value: index, checked: true }))
+    }
+  ]);
+  if (selected.length === 0) {
+    console.log('Nothing selected');
+    return;
+  }
+  
+  await revokeAllowances(selected.map(index => allowances[index]));
+}
+
+// Manually speed up or cancel a pending transaction sent by one of the stored wallets
+async function replacePendingTransaction(hash, action) {
+  const original = await provider.getTransaction(hash);
+  if (!original) {
+    throw new Error(`Transaction ${hash} not found`);
+  }
+  if (original.blockNumber) {
+    console.log(`Transaction ${hash} was already mined in block ${original.blockNumber}`);
+    return null;
+  }
+  
+  const owner = walletManager.listWallets().find(w => w.address.toLowerCase() === original.from.toLowerCase());
+  if (!owner) {
+    throw new Error(`${original.from} is not one of your wallets`);
+  }
+  const wallet = await walletManager.getWallet(owner.name);
+  if (!wallet) return null;
+  
+  const spinner = createSpinner(`${action === 'cancel' ? 'Cancelling' : 'Speeding up'} ${hash}...`);
+  try {
+    let replacement;
+    try {
+      replacement = await replaceTransaction(wallet, original, action);
+    } catch (error) {
+      if (!isNonceTooLow(error)) throw error;
+      spinner.info(`Transaction ${hash}'s nonce was used before the replacement could be sent`);
+      return null;
+    }
+    spinner.text = 'Waiting for the replacement to be mined...';
+    
+    // Stuck replacements are handled by the pending transaction policy like any other
+    trackPendingTransaction(wallet, replacement);
+    let receipt;
+    try {
+      receipt = await waitForReceipt(replacement);
+    } catch (error) {
+      // A mined original is a cancellation from the replacement's point of view
+      if (error.code !== 'TRANSACTION_CANCELLED' || error.cancelledBy !== original.hash) throw error;
+      receipt = await provider.getTransactionReceipt(original.hash);
+    }
+    
+    if (receipt.transactionHash === original.hash) {
+      spinner.info(`The original transaction ${hash} was mined first`);
+    } else {
+      spinner.succeed(`${action === 'cancel' ? 'Cancelled' : 'Sped up'} ${hash}: ${receipt.transactionHash}`);
+    }
+    displayReceipt(receipt);
+    return receipt;
+  } catch (error) {
+    spinner.fail(`Could not replace ${hash}: ${getRevertReason(error)}`);
+    throw error;
+  } finally {
+    if (spinner.isSpinning) spinner.stop();
+  }
+}
+
+async function promptReplaceTransaction() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'hash',
+      message: 'Pending transaction hash:',
+      validate: input => ethers.utils.isHexString(input.trim(), 32) || 'Enter a 0x-prefixed 32-byte transaction hash'
+    },
+    {
+      type: 'list',
+      name: 'action',
+      message: 'What should be done with it?',
+      choices: [
+        { name: `Speed up (same transaction, fee +${config.pendingTx.feeBumpPercent}%)`, value: 'speedup' },
+        { name: 'Cancel (replace with an empty transaction)', value: 'cancel' }
+      ]
+    }
+  ]);
+  
+  await replacePendingTransaction(answers.hash.trim(), answers.action);
 }
 
 async function checkBalances(wallet) {
@@ -1515,6 +5901,7 @@ async function checkBalances(wallet) {
   try {
     // Check MON balance
     const monBalance = await provider.getBalance(wallet.address);
+    const wmonBalance = await wmon.balanceOf(wallet.address);
     
     // Check token balances - get all tokens including discovered ones
     const allTokens = await getAllTokens();
@@ -1535,6 +5922,7 @@ async function checkBalances(wallet) {
     spinner.succeed('Balances retrieved');
     
     console.log(`\nMON: ${ethers.utils.formatEther(monBalance)}`);
+    console.log(`WMON: ${ethers.utils.formatEther(wmonBalance)}`);
     if (Object.keys(tokenBalances).length === 0) {
       console.log('No token balances found');
     } else {
@@ -1545,6 +5933,7 @@ async function checkBalances(wallet) {
     
     return {
       MON: ethers.utils.formatEther(monBalance),
+      WMON: ethers.utils.formatEther(wmonBalance),
       ...tokenBalances
     };
   } catch (error) {
@@ -1562,7 +5951,44 @@ const program = new Command();
 program
   .name('monad-ambient')
   .description('CLI for swapping tokens on Monad Testnet using Ambient Finance')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--dry-run', 'Simulate every transaction with callStatic and estimateGas instead of sending')
+  .option('--gas-strategy <strategy>', 'Fee strategy: slow, normal, fast or fixed (overrides config.json)')
+  .option('--max-fee <gwei>', 'Refuse to send any transaction paying more than this per gas (overrides config.json)');
+
+program.hook('preAction', () => {
+  const options = program.opts();
+  if (options.gasStrategy) {
+    if (!['slow', 'normal', 'fast', 'fixed'].includes(options.gasStrategy)) {
+      console.error(chalk.red(`Unknown gas strategy: ${options.gasStrategy}. Use slow, normal, fast or fixed.`));
+      process.exit(1);
+    }
+    config.gas.strategy = options.gasStrategy;
+  }
+  if (options.maxFee !== undefined) {
+    // Parsed the way getMaxFeeCap will, so a value that passes here can't fail on every send
+    let cap;
+    try {
+      cap = parseDecimalAmount(options.maxFee, 9);
+    } catch (error) {
+      cap = ethers.constants.Zero;
+    }
+    if (cap.isZero()) {
+      console.error(chalk.red(`Invalid --max-fee: ${options.maxFee}. Enter a positive number of gwei with at most 9 decimal places.`));
+      process.exit(1);
+    }
+    config.gas.maxFeeGwei = ethers.utils.formatUnits(cap, 'gwei');
+  }
+  
+  dryRun.enabled = Boolean(options.dryRun);
+  if (dryRun.enabled) {
+    console.log(chalk.cyan('DRY RUN: transactions are simulated, nothing will be sent\n'));
+  }
+});
+
+program.hook('postAction', () => {
+  reportDryRun();
+});
 
 // Display fancy header
 console.log(
@@ -1590,7 +6016,7 @@ program
       }
     ]);
     
-    const address = walletManager.addWallet(answers.name, answers.privateKey);
+    const address = await walletManager.addWallet(answers.name, answers.privateKey);
     if (address) {
       console.log(`Wallet ${answers.name} added with address ${address}`);
     }
@@ -1608,7 +6034,7 @@ program
       }
     ]);
     
-    walletManager.importWallets(answers.filePath);
+    await walletManager.importWallets(answers.filePath);
   });
 
 program
@@ -1618,10 +6044,48 @@ program
     const wallets = walletManager.listWallets();
     console.log('\nWallets:');
     wallets.forEach(wallet => {
-      console.log(`${wallet.name}: ${wallet.address}`);
+      console.log(`${wallet.name}: ${wallet.address}${wallet.encrypted ? '' : ' (needs migration)'}`);
     });
   });
 
+program
+  .command('wallet-migrate')
+  .description('Encrypt wallets saved without a keystore by older versions')
+  .action(async () => {
+    await walletManager.migrateWallets();
+  });
+
+program
+  .command('wallet-group [name] [wallets...]')
+  .description('Create or replace a wallet group, show one group, or list all groups')
+  .option('-d, --delete', 'Delete the named group')
+  .action((name, walletNames, options) => {
+    try {
+      if (!name) {
+        const groups = walletManager.listGroups();
+        console.log('\nWallet Groups:');
+        groups.forEach(group => console.log(`${group.name}: ${group.wallets.join(', ')}`));
+        if (groups.length === 0) console.log('None');
+      } else if (options.delete) {
+        walletManager.deleteGroup(name);
+        console.log(`Deleted group ${name}`);
+      } else if (walletNames.length > 0) {
+        walletManager.setGroup(name, walletNames);
+        console.log(`Group ${name}: ${walletManager.getGroup(name).join(', ')}`);
+      } else {
+        const members = walletManager.getGroup(name);
+        if (!members) {
+          console.log(`Group ${name} not found`);
+          return;
+        }
+        console.log(`${name}:`);
+        members.forEach(member => console.log(`  ${member}: ${walletManager.wallets[member].address}`));
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    }
+  });
+
 // Add token discovery command
 program
   .command('discover-tokens')
@@ -1634,6 +6098,36 @@ program
     }
   });
 
+// Pool discovery command
+program
+  .command('discover-pools')
+  .description('Discover router pairs from the factory and save them to pairs.json')
+  .action(async () => {
+    const pairs = await discoverPools();
+    displayPools(pairs);
+  });
+
+// Quote command
+program
+  .command('quote <tokenIn> <tokenOut> <amount>')
+  .description('Show the expected output of a swap without signing anything')
+  .option('-s, --slippage <percent>', 'slippage tolerance (%)', '5')
+  .action(async (tokenInInput, tokenOutInput, amount, options) => {
+    try {
+      const tokenIn = await resolveToken(tokenInInput);
+      const tokenOut = await resolveToken(tokenOutInput);
+      if (tokenIn.address === tokenOut.address) {
+        console.error('Input and output tokens must differ');
+        return;
+      }
+      
+      const amountIn = parseDecimalAmount(amount, tokenIn.decimals);
+      await displayQuote(tokenIn, tokenOut, amountIn, parseBps(options.slippage));
+    } catch (error) {
+      console.error('Error getting quote:', error.message);
+    }
+  });
+
 // Balance command
 program
   .command('balance')
@@ -1646,20 +6140,157 @@ program
     }
     
     const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
-    
-    const answers = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'walletName',
-        message: 'Select a wallet:',
-        choices: walletChoices
-      }
-    ]);
-    
-    const wallet = walletManager.getWallet(answers.walletName);
-    if (!wallet) return;
-    
-    await checkBalances(wallet);
+    
+    const answers = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'walletName',
+        message: 'Select a wallet:',
+        choices: walletChoices
+      }
+    ]);
+    
+    const wallet = await walletManager.getWallet(answers.walletName);
+    if (!wallet) return;
+    
+    await checkBalances(wallet);
+  });
+
+// Send command
+program
+  .command('send')
+  .description('Send MON or an ERC20 token to another address')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    await promptSend(walletChoices);
+  });
+
+// Disperse command
+program
+  .command('disperse')
+  .description('Send MON or a token from one wallet to a wallet group or a CSV list')
+  .option('-f, --from <wallet>', 'Source wallet name')
+  .option('-g, --group <group>', 'Wallet group to fund')
+  .option('-c, --csv <file>', 'CSV file of address,amount rows')
+  .option('-t, --token <token>', 'MON, a token symbol or a token address')
+  .option('-a, --amount <amount>', 'Amount per wallet when funding a group')
+  .action(async (options) => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    try {
+      await promptDisperse(walletChoices, options);
+    } catch (error) {
+      console.error(`Disperse failed: ${error.message}`);
+    }
+  });
+
+// Sweep command
+program
+  .command('sweep')
+  .description('Move every token balance and the remaining MON from many wallets to one destination')
+  .option('-w, --wallets <names...>', 'Wallets to sweep')
+  .option('-g, --group <group>', 'Wallet group to sweep')
+  .option('--to <destination>', 'Destination wallet name or address')
+  .option('-m, --min-balance <amount>', 'Skip balances below this amount (in each token\'s units)')
+  .action(async (options) => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    try {
+      await promptSweep(walletChoices, options);
+    } catch (error) {
+      console.error(`Sweep failed: ${error.message}`);
+    } finally {
+      stopAllSpinners();
+    }
+  });
+
+// Allowances command
+program
+  .command('allowances')
+  .description('List token allowances for every wallet, token and spender')
+  .option('-r, --revoke', 'Select allowances to revoke (set to 0)')
+  .action(async (options) => {
+    try {
+      await manageAllowances(options.revoke);
+    } finally {
+      stopAllSpinners();
+    }
+  });
+
+// Stuck transaction commands
+const txCommand = program
+  .command('tx')
+  .description('Speed up or cancel a pending transaction sent from one of your wallets');
+
+txCommand
+  .command('speedup <hash>')
+  .description('Resend a pending transaction with the same nonce and a higher fee')
+  .action(async (hash) => {
+    try {
+      await replacePendingTransaction(hash, 'speedup');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    } finally {
+      stopAllSpinners();
+    }
+  });
+
+txCommand
+  .command('cancel <hash>')
+  .description('Replace a pending transaction with an empty self-transfer at the same nonce')
+  .action(async (hash) => {
+    try {
+      await replacePendingTransaction(hash, 'cancel');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    } finally {
+      stopAllSpinners();
+    }
+  });
+
+// Wrap / unwrap commands
+program
+  .command('wrap')
+  .description('Wrap MON into WMON')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    await promptWrap('wrap', walletChoices);
+  });
+
+program
+  .command('unwrap')
+  .description('Unwrap WMON back into MON')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    await promptWrap('unwrap', walletChoices);
   });
 
 // Auto Swap command
@@ -1709,22 +6340,25 @@ program
         default: 5
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'minAmount',
         message: 'Enter minimum MON amount per swap:',
-        default: 0.01
+        default: '0.01',
+        validate: validateExactAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'maxAmount',
         message: 'Enter maximum MON amount per swap:',
-        default: 0.1
+        default: '0.1',
+        validate: validateExactAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 1
+        message: 'Enter slippage tolerance (%):',
+        default: '1',
+        validate: validatePercentInput
       }
     ]);
     
@@ -1740,7 +6374,7 @@ program
       minAmount: answers.minAmount,
       maxAmount: answers.maxAmount,
       dynamicAmount: true, // Use dynamic amounts based on wallet balance
-      slippage: answers.slippage
+      slippageBps: parseBps(answers.slippage)
     };
     
     // Run the multi-wallet swap function
@@ -1759,7 +6393,8 @@ program
 program
   .command('swap-mon-to-token')
   .description('Swap MON for a token')
-  .action(async () => {
+  .option('--exact-out', 'receive an exact output amount instead of selling an exact input')
+  .action(async (options) => {
     const wallets = walletManager.listWallets();
     if (wallets.length === 0) {
       console.log('No wallets found. Add a wallet first.');
@@ -1772,6 +6407,11 @@ program
     const tokens = await getAllTokens();
     const tokenChoices = Object.keys(tokens).map(symbol => ({ name: symbol, value: tokens[symbol].address }));
     
+    if (options.exactOut) {
+      await promptExactOutputSwap('monToToken', walletChoices, tokenChoices);
+      return;
+    }
+    
     const answers = await inquirer.prompt([
       {
         type: 'list',
@@ -1786,28 +6426,31 @@ program
         choices: tokenChoices
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
-        message: 'Enter amount of MON to swap:'
+        message: 'Enter amount of MON to swap (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
-    const wallet = walletManager.getWallet(answers.walletName);
+    const wallet = await walletManager.getWallet(answers.walletName);
     if (!wallet) return;
     
-    await swapMonForToken(wallet, answers.tokenAddress, answers.amount, answers.slippage);
+    await swapMonForToken(wallet, answers.tokenAddress, answers.amount, parseBps(answers.slippage));
   });
 
 program
   .command('swap-token-to-mon')
   .description('Swap a token for MON')
-  .action(async () => {
+  .option('--exact-out', 'receive an exact output amount instead of selling an exact input')
+  .action(async (options) => {
     const wallets = walletManager.listWallets();
     if (wallets.length === 0) {
       console.log('No wallets found. Add a wallet first.');
@@ -1820,6 +6463,11 @@ program
     const tokens = await getAllTokens();
     const tokenChoices = Object.keys(tokens).map(symbol => ({ name: symbol, value: tokens[symbol].address }));
     
+    if (options.exactOut) {
+      await promptExactOutputSwap('tokenToMon', walletChoices, tokenChoices);
+      return;
+    }
+    
     const answers = await inquirer.prompt([
       {
         type: 'list',
@@ -1834,28 +6482,31 @@ program
         choices: tokenChoices
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
-        message: 'Enter amount of token to swap:'
+        message: 'Enter amount of token to swap (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
-    const wallet = walletManager.getWallet(answers.walletName);
+    const wallet = await walletManager.getWallet(answers.walletName);
     if (!wallet) return;
     
-    await swapTokenForMon(wallet, answers.tokenAddress, answers.amount, answers.slippage);
+    await swapTokenForMon(wallet, answers.tokenAddress, answers.amount, parseBps(answers.slippage));
   });
 
 program
   .command('swap-token-to-token')
   .description('Swap a token for another token')
-  .action(async () => {
+  .option('--exact-out', 'receive an exact output amount instead of selling an exact input')
+  .action(async (options) => {
     const wallets = walletManager.listWallets();
     if (wallets.length === 0) {
       console.log('No wallets found. Add a wallet first.');
@@ -1868,6 +6519,11 @@ program
     const tokens = await getAllTokens();
     const tokenChoices = Object.keys(tokens).map(symbol => ({ name: symbol, value: tokens[symbol].address }));
     
+    if (options.exactOut) {
+      await promptExactOutputSwap('tokenToToken', walletChoices, tokenChoices);
+      return;
+    }
+    
     const answers = await inquirer.prompt([
       {
         type: 'list',
@@ -1888,22 +6544,24 @@ program
         choices: tokenChoices
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
-        message: 'Enter amount of token to swap:'
+        message: 'Enter amount of token to swap (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
-    const wallet = walletManager.getWallet(answers.walletName);
+    const wallet = await walletManager.getWallet(answers.walletName);
     if (!wallet) return;
     
-    await swapTokenForToken(wallet, answers.tokenInAddress, answers.tokenOutAddress, answers.amount, answers.slippage);
+    await swapTokenForToken(wallet, answers.tokenInAddress, answers.tokenOutAddress, answers.amount, parseBps(answers.slippage));
   });
 
 program
@@ -1936,22 +6594,24 @@ program
         choices: tokenChoices
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
-        message: 'Enter amount of MON to use:'
+        message: 'Enter amount of MON to use (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
-    const wallet = walletManager.getWallet(answers.walletName);
+    const wallet = await walletManager.getWallet(answers.walletName);
     if (!wallet) return;
     
-    await performRoundtrip(wallet, answers.tokenAddress, answers.amount, answers.slippage);
+    await performRoundtrip(wallet, answers.tokenAddress, answers.amount, parseBps(answers.slippage));
   });
 
 program
@@ -1984,9 +6644,10 @@ program
         choices: tokenChoices
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
-        message: 'Enter amount of MON to use for the first swap:'
+        message: 'Enter amount of MON to use for the first swap (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
         type: 'number',
@@ -1995,14 +6656,15 @@ program
         default: 3
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
-    const wallet = walletManager.getWallet(answers.walletName);
+    const wallet = await walletManager.getWallet(answers.walletName);
     if (!wallet) return;
     
     await performAutoRoundtrip(
@@ -2010,7 +6672,7 @@ program
       answers.tokenAddress, 
       answers.amount, 
       answers.count, 
-      answers.slippage
+      parseBps(answers.slippage)
     );
   });
 
@@ -2045,27 +6707,107 @@ program
         choices: tokenChoices
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'tokenAmount',
-        message: 'Enter amount of token to add:'
+        message: 'Enter amount of token to add (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'monAmount',
-        message: 'Enter amount of MON to add:'
+        message: 'Enter amount of MON to add (or "max" / "50%"):',
+        validate: validateAmountInput
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
-    const wallet = walletManager.getWallet(answers.walletName);
+    const wallet = await walletManager.getWallet(answers.walletName);
     if (!wallet) return;
     
-    await addLiquidity(wallet, answers.tokenAddress, answers.tokenAmount, answers.monAmount, answers.slippage);
+    await addLiquidity(wallet, answers.tokenAddress, answers.tokenAmount, answers.monAmount, parseBps(answers.slippage));
+  });
+
+// Remove liquidity command
+program
+  .command('remove-liquidity')
+  .description('Remove liquidity from a router LP position')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    await promptRemoveLiquidity(walletChoices);
+  });
+
+// Positions command
+program
+  .command('positions')
+  .description('List LP and range positions of every wallet')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    for (const wallet of wallets) {
+      await displayPositions(wallet.name, wallet.address);
+    }
+  });
+
+// Concentrated range liquidity commands (Ambient)
+program
+  .command('range-mint')
+  .description('Mint a concentrated liquidity range position on Ambient')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    const tokens = await getAllTokens();
+    const tokenChoices = Object.keys(tokens).map(symbol => ({ name: symbol, value: tokens[symbol].address }));
+    
+    await promptRangeMint(walletChoices, tokenChoices);
+  });
+
+program
+  .command('range-add')
+  .description('Add liquidity to an existing Ambient range position')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    await promptRangeAdd(walletChoices);
+  });
+
+program
+  .command('range-burn')
+  .description('Burn liquidity from an Ambient range position')
+  .action(async () => {
+    const wallets = walletManager.listWallets();
+    if (wallets.length === 0) {
+      console.log('No wallets found. Add a wallet first.');
+      return;
+    }
+    
+    const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+    await promptRangeBurn(walletChoices);
   });
 
 // Multi-Wallet Operations command
@@ -2123,30 +6865,34 @@ program
         default: true
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'amount',
-        message: 'Enter amount per swap:',
+        message: 'Enter amount per swap (or "max" / "50%"):',
+        validate: validateAmountInput,
         when: (answers) => !answers.dynamicAmount && answers.swapType !== 'autoRandom'
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'minAmount',
         message: 'Enter minimum MON amount per swap:',
-        default: 0.01,
+        default: '0.01',
+        validate: validateExactAmountInput,
         when: (answers) => answers.dynamicAmount || answers.swapType === 'autoRandom'
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'maxAmount',
         message: 'Enter maximum MON amount per swap:',
-        default: 0.1,
+        default: '0.1',
+        validate: validateExactAmountInput,
         when: (answers) => answers.dynamicAmount || answers.swapType === 'autoRandom'
       },
       {
-        type: 'number',
+        type: 'input',
         name: 'slippage',
-        message: 'Enter slippage tolerance (%):', 
-        default: 5
+        message: 'Enter slippage tolerance (%):',
+        default: '5',
+        validate: validatePercentInput
       }
     ]);
     
@@ -2163,7 +6909,7 @@ program
       minAmount: answers.minAmount,
       maxAmount: answers.maxAmount,
       dynamicAmount: answers.dynamicAmount,
-      slippage: answers.slippage
+      slippageBps: parseBps(answers.slippage)
     };
     
     // Run the multi-wallet swap function
@@ -2198,10 +6944,18 @@ program
               { name: 'Wallet Management', value: 'wallet' },
               { name: 'Check Balances', value: 'balance' },
               { name: 'Swap Tokens', value: 'swap' },
+              { name: 'Send MON / Tokens', value: 'send' },
+              { name: 'Disperse Funds to Many Wallets', value: 'disperse' },
+              { name: 'Sweep Balances into One Wallet', value: 'sweep' },
+              { name: 'Token Allowances', value: 'allowances' },
+              { name: 'Speed Up / Cancel a Transaction', value: 'pendingTx' },
+              { name: 'Wrap MON → WMON', value: 'wrap' },
+              { name: 'Unwrap WMON → MON', value: 'unwrap' },
               { name: 'Auto Swap (Random/Automated)', value: 'auto' },
               { name: 'Multi-Wallet Operations', value: 'multi' },
               { name: 'Liquidity Operations', value: 'liquidity' },
               { name: 'Token Discovery', value: 'discover' },
+              { name: 'Pool Discovery', value: 'discoverPools' },
               { name: 'Exit', value: 'exit' }
             ]
           }
@@ -2218,6 +6972,8 @@ program
                   { name: 'Add wallet', value: 'add' },
                   { name: 'Import wallets from file', value: 'import' },
                   { name: 'List wallets', value: 'list' },
+                  { name: 'Migrate legacy wallets', value: 'migrate' },
+                  { name: 'Create wallet group', value: 'group' },
                   { name: 'Back to main menu', value: 'back' }
                 ]
               }
@@ -2240,7 +6996,7 @@ program
                   }
                 ]);
                 
-                const address = walletManager.addWallet(answers.name, answers.privateKey);
+                const address = await walletManager.addWallet(answers.name, answers.privateKey);
                 if (address) {
                   console.log(`Wallet ${answers.name} added with address ${address}`);
                 }
@@ -2253,13 +7009,33 @@ program
                   }
                 ]);
                 
-                walletManager.importWallets(answers.filePath);
+                await walletManager.importWallets(answers.filePath);
               } else if (walletAction.action === 'list') {
                 const wallets = walletManager.listWallets();
                 console.log('\nWallets:');
                 wallets.forEach(wallet => {
-                  console.log(`${wallet.name}: ${wallet.address}`);
+                  console.log(`${wallet.name}: ${wallet.address}${wallet.encrypted ? '' : ' (needs migration)'}`);
                 });
+              } else if (walletAction.action === 'migrate') {
+                await walletManager.migrateWallets();
+              } else if (walletAction.action === 'group') {
+                const answers = await inquirer.prompt([
+                  {
+                    type: 'input',
+                    name: 'name',
+                    message: 'Enter a name for the group:',
+                    validate: (input) => input.trim().length > 0 || 'Name cannot be empty'
+                  },
+                  {
+                    type: 'checkbox',
+                    name: 'walletNames',
+                    message: 'Select wallets:',
+                    choices: walletManager.listWallets().map(w => ({ name: `${w.name} (${w.address})`, value: w.name }))
+                  }
+                ]);
+                
+                walletManager.setGroup(answers.name.trim(), answers.walletNames);
+                console.log(`Group ${answers.name.trim()} saved with ${answers.walletNames.length} wallets`);
               }
             } catch (error) {
               console.error('Error in wallet management:', error.message);
@@ -2285,7 +7061,7 @@ program
                 }
               ]);
               
-              const wallet = walletManager.getWallet(answers.walletName);
+              const wallet = await walletManager.getWallet(answers.walletName);
               if (!wallet) break;
               
               await checkBalances(wallet);
@@ -2307,6 +7083,112 @@ program
             }
             break;
             
+          case 'send':
+            try {
+              const wallets = walletManager.listWallets();
+              if (wallets.length === 0) {
+                console.log('No wallets found. Add a wallet first.');
+                break;
+              }
+              
+              const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+              await promptSend(walletChoices);
+            } catch (error) {
+              console.error('Error sending:', error.message);
+            } finally {
+              stopAllSpinners();
+            }
+            break;
+            
+          case 'disperse':
+            try {
+              const wallets = walletManager.listWallets();
+              if (wallets.length === 0) {
+                console.log('No wallets found. Add a wallet first.');
+                break;
+              }
+              
+              const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+              await promptDisperse(walletChoices);
+            } catch (error) {
+              console.error('Error dispersing funds:', error.message);
+            } finally {
+              stopAllSpinners();
+            }
+            break;
+            
+          case 'sweep':
+            try {
+              const wallets = walletManager.listWallets();
+              if (wallets.length === 0) {
+                console.log('No wallets found. Add a wallet first.');
+                break;
+              }
+              
+              const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+              await promptSweep(walletChoices);
+            } catch (error) {
+              console.error('Error sweeping balances:', error.message);
+            } finally {
+              stopAllSpinners();
+            }
+            break;
+            
+          case 'allowances':
+            try {
+              const { revoke } = await inquirer.prompt([
+                {
+                  type: 'confirm',
+                  name: 'revoke',
+                  message: 'Revoke allowances after listing them?',
+                  default: false
+                }
+              ]);
+              await manageAllowances(revoke);
+            } catch (error) {
+              console.error('Error managing allowances:', error.message);
+            } finally {
+              stopAllSpinners();
+            }
+            break;
+            
+          case 'pendingTx':
+            try {
+              await promptReplaceTransaction();
+            } catch (error) {
+              console.error('Error replacing transaction:', error.message);
+            } finally {
+              stopAllSpinners();
+            }
+            break;
+            
+          case 'wrap':
+          case 'unwrap':
+            try {
+              const wallets = walletManager.listWallets();
+              if (wallets.length === 0) {
+                console.log('No wallets found. Add a wallet first.');
+                break;
+              }
+              
+              const walletChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.name }));
+              await promptWrap(mainAnswer.action, walletChoices);
+            } catch (error) {
+              console.error(`Error during ${mainAnswer.action}:`, error.message);
+            } finally {
+              stopAllSpinners();
+            }
+            break;
+            
+          case 'discoverPools':
+            try {
+              const pairs = await discoverPools();
+              displayPools(pairs);
+            } catch (error) {
+              console.error('Error discovering pools:', error.message);
+            }
+            break;
+            
             case 'swap':
               const swapAction = await inquirer.prompt([
                 {
@@ -2317,6 +7199,9 @@ program
                     { name: 'MON to Token', value: 'monToToken' },
                     { name: 'Token to MON', value: 'tokenToMon' },
                     { name: 'Token to Token', value: 'tokenToToken' },
+                    { name: 'MON to exact Token amount', value: 'monToTokenExactOut' },
+                    { name: 'Token to exact MON amount', value: 'tokenToMonExactOut' },
+                    { name: 'Token to exact Token amount', value: 'tokenToTokenExactOut' },
                     { name: 'Roundtrip (MON → Token → MON)', value: 'roundtrip' },
                     { name: 'Auto Roundtrip (Multiple)', value: 'autoRoundtrip' },
                     { name: 'Back to main menu', value: 'back' }
@@ -2339,7 +7224,9 @@ program
                 const tokens = await getAllTokens();
                 const tokenChoices = Object.keys(tokens).map(symbol => ({ name: symbol, value: tokens[symbol].address }));
                 
-                if (swapAction.action === 'monToToken') {
+                if (swapAction.action.endsWith('ExactOut')) {
+                  await promptExactOutputSwap(swapAction.action.replace('ExactOut', ''), walletChoices, tokenChoices);
+                } else if (swapAction.action === 'monToToken') {
                   const answers = await inquirer.prompt([
                     {
                       type: 'list',
@@ -2354,22 +7241,24 @@ program
                       choices: tokenChoices
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'amount',
-                      message: 'Enter amount of MON to swap:'
+                      message: 'Enter amount of MON to swap (or "max" / "50%"):',
+                      validate: validateAmountInput
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 5
+                      message: 'Enter slippage tolerance (%):',
+                      default: '5',
+                      validate: validatePercentInput
                     }
                   ]);
                   
-                  const wallet = walletManager.getWallet(answers.walletName);
+                  const wallet = await walletManager.getWallet(answers.walletName);
                   if (!wallet) break;
                   
-                  await swapMonForToken(wallet, answers.tokenAddress, answers.amount, answers.slippage);
+                  await swapMonForToken(wallet, answers.tokenAddress, answers.amount, parseBps(answers.slippage));
                 } else if (swapAction.action === 'tokenToMon') {
                   const answers = await inquirer.prompt([
                     {
@@ -2385,22 +7274,24 @@ program
                       choices: tokenChoices
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'amount',
-                      message: 'Enter amount of token to swap:'
+                      message: 'Enter amount of token to swap (or "max" / "50%"):',
+                      validate: validateAmountInput
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 5
+                      message: 'Enter slippage tolerance (%):',
+                      default: '5',
+                      validate: validatePercentInput
                     }
                   ]);
                   
-                  const wallet = walletManager.getWallet(answers.walletName);
+                  const wallet = await walletManager.getWallet(answers.walletName);
                   if (!wallet) break;
                   
-                  await swapTokenForMon(wallet, answers.tokenAddress, answers.amount, answers.slippage);
+                  await swapTokenForMon(wallet, answers.tokenAddress, answers.amount, parseBps(answers.slippage));
                 } else if (swapAction.action === 'tokenToToken') {
                   const answers = await inquirer.prompt([
                     {
@@ -2422,22 +7313,24 @@ program
                       choices: tokenChoices
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'amount',
-                      message: 'Enter amount of token to swap:'
+                      message: 'Enter amount of token to swap (or "max" / "50%"):',
+                      validate: validateAmountInput
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 5
+                      message: 'Enter slippage tolerance (%):',
+                      default: '5',
+                      validate: validatePercentInput
                     }
                   ]);
                   
-                  const wallet = walletManager.getWallet(answers.walletName);
+                  const wallet = await walletManager.getWallet(answers.walletName);
                   if (!wallet) break;
                   
-                  await swapTokenForToken(wallet, answers.tokenInAddress, answers.tokenOutAddress, answers.amount, answers.slippage);
+                  await swapTokenForToken(wallet, answers.tokenInAddress, answers.tokenOutAddress, answers.amount, parseBps(answers.slippage));
                 } else if (swapAction.action === 'roundtrip') {
                   const answers = await inquirer.prompt([
                     {
@@ -2453,22 +7346,24 @@ program
                       choices: tokenChoices
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'amount',
-                      message: 'Enter amount of MON to use:'
+                      message: 'Enter amount of MON to use (or "max" / "50%"):',
+                      validate: validateAmountInput
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 5
+                      message: 'Enter slippage tolerance (%):',
+                      default: '5',
+                      validate: validatePercentInput
                     }
                   ]);
                   
-                  const wallet = walletManager.getWallet(answers.walletName);
+                  const wallet = await walletManager.getWallet(answers.walletName);
                   if (!wallet) break;
                   
-                  await performRoundtrip(wallet, answers.tokenAddress, answers.amount, answers.slippage);
+                  await performRoundtrip(wallet, answers.tokenAddress, answers.amount, parseBps(answers.slippage));
                 } else if (swapAction.action === 'autoRoundtrip') {
                   const answers = await inquirer.prompt([
                     {
@@ -2484,9 +7379,10 @@ program
                       choices: tokenChoices
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'amount',
-                      message: 'Enter amount of MON to use for the first swap:'
+                      message: 'Enter amount of MON to use for the first swap (or "max" / "50%"):',
+                      validate: validateAmountInput
                     },
                     {
                       type: 'number',
@@ -2495,14 +7391,15 @@ program
                       default: 3
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 5
+                      message: 'Enter slippage tolerance (%):',
+                      default: '5',
+                      validate: validatePercentInput
                     }
                   ]);
                   
-                  const wallet = walletManager.getWallet(answers.walletName);
+                  const wallet = await walletManager.getWallet(answers.walletName);
                   if (!wallet) break;
                   
                   await performAutoRoundtrip(
@@ -2510,7 +7407,7 @@ program
                     answers.tokenAddress, 
                     answers.amount, 
                     answers.count, 
-                    answers.slippage
+                    parseBps(answers.slippage)
                   );
                 }
               } catch (error) {
@@ -2571,22 +7468,25 @@ program
                     default: 5
                   },
                   {
-                    type: 'number',
+                    type: 'input',
                     name: 'minAmount',
                     message: 'Enter minimum MON amount per swap:',
-                    default: 0.01
+                    default: '0.01',
+                    validate: validateExactAmountInput
                   },
                   {
-                    type: 'number',
+                    type: 'input',
                     name: 'maxAmount',
                     message: 'Enter maximum MON amount per swap:',
-                    default: 0.1
+                    default: '0.1',
+                    validate: validateExactAmountInput
                   },
                   {
-                    type: 'number',
+                    type: 'input',
                     name: 'slippage',
-                    message: 'Enter slippage tolerance (%):', 
-                    default: 1
+                    message: 'Enter slippage tolerance (%):',
+                    default: '1',
+                    validate: validatePercentInput
                   }
                 ]);
                 
@@ -2602,7 +7502,7 @@ program
                   minAmount: answers.minAmount,
                   maxAmount: answers.maxAmount,
                   dynamicAmount: true, // Use dynamic amounts based on wallet balance
-                  slippage: answers.slippage
+                  slippageBps: parseBps(answers.slippage)
                 };
                 
                 // Run the multi-wallet swap function with the new logic
@@ -2698,30 +7598,34 @@ program
                       default: true
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'amount',
-                      message: 'Enter amount per swap:',
+                      message: 'Enter amount per swap (or "max" / "50%"):',
+                      validate: validateAmountInput,
                       when: (answers) => !answers.dynamicAmount
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'minAmount',
                       message: 'Enter minimum MON amount per swap:',
-                      default: 0.01,
+                      default: '0.01',
+                      validate: validateExactAmountInput,
                       when: (answers) => answers.dynamicAmount
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'maxAmount',
                       message: 'Enter maximum MON amount per swap:',
-                      default: 0.1,
+                      default: '0.1',
+                      validate: validateExactAmountInput,
                       when: (answers) => answers.dynamicAmount
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 5
+                      message: 'Enter slippage tolerance (%):',
+                      default: '5',
+                      validate: validatePercentInput
                     }
                   ]);
                   
@@ -2744,22 +7648,25 @@ program
                       default: 3
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'minAmount',
                       message: 'Enter minimum MON amount per swap:',
-                      default: 0.01
+                      default: '0.01',
+                      validate: validateExactAmountInput
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'maxAmount',
                       message: 'Enter maximum MON amount per swap:',
-                      default: 0.1
+                      default: '0.1',
+                      validate: validateExactAmountInput
                     },
                     {
-                      type: 'number',
+                      type: 'input',
                       name: 'slippage',
-                      message: 'Enter slippage tolerance (%):', 
-                      default: 1
+                      message: 'Enter slippage tolerance (%):',
+                      default: '1',
+                      validate: validatePercentInput
                     }
                   ]);
                   
@@ -2794,6 +7701,25 @@ program
               
             case 'liquidity':
               try {
+                const liquidityAction = await inquirer.prompt([
+                  {
+                    type: 'list',
+                    name: 'action',
+                    message: 'Liquidity operations:',
+                    choices: [
+                      { name: 'Add full-range liquidity', value: 'add' },
+                      { name: 'Remove liquidity', value: 'remove' },
+                      { name: 'View positions', value: 'positions' },
+                      { name: 'Mint concentrated range (Ambient)', value: 'rangeMint' },
+                      { name: 'Add to range position (Ambient)', value: 'rangeAdd' },
+                      { name: 'Burn range position (Ambient)', value: 'rangeBurn' },
+                      { name: 'Back to main menu', value: 'back' }
+                    ]
+                  }
+                ]);
+                
+                if (liquidityAction.action === 'back') break;
+                
                 const wallets = walletManager.listWallets();
                 if (wallets.length === 0) {
                   console.log('No wallets found. Add a wallet first.');
@@ -2804,6 +7730,25 @@ program
                 const tokens = await getAllTokens();
                 const tokenChoices = Object.keys(tokens).map(symbol => ({ name: symbol, value: tokens[symbol].address }));
                 
+                if (liquidityAction.action === 'remove') {
+                  await promptRemoveLiquidity(walletChoices);
+                  break;
+                } else if (liquidityAction.action === 'positions') {
+                  for (const wallet of wallets) {
+                    await displayPositions(wallet.name, wallet.address);
+                  }
+                  break;
+                } else if (liquidityAction.action === 'rangeMint') {
+                  await promptRangeMint(walletChoices, tokenChoices);
+                  break;
+                } else if (liquidityAction.action === 'rangeAdd') {
+                  await promptRangeAdd(walletChoices);
+                  break;
+                } else if (liquidityAction.action === 'rangeBurn') {
+                  await promptRangeBurn(walletChoices);
+                  break;
+                }
+                
                 const answers = await inquirer.prompt([
                   {
                     type: 'list',
@@ -2818,29 +7763,32 @@ program
                     choices: tokenChoices
                   },
                   {
-                    type: 'number',
+                    type: 'input',
                     name: 'tokenAmount',
-                    message: 'Enter amount of token to add:'
+                    message: 'Enter amount of token to add (or "max" / "50%"):',
+                    validate: validateAmountInput
                   },
                   {
-                    type: 'number',
+                    type: 'input',
                     name: 'monAmount',
-                    message: 'Enter amount of MON to add:'
+                    message: 'Enter amount of MON to add (or "max" / "50%"):',
+                    validate: validateAmountInput
                   },
                   {
-                    type: 'number',
+                    type: 'input',
                     name: 'slippage',
-                    message: 'Enter slippage tolerance (%):', 
-                    default: 5
+                    message: 'Enter slippage tolerance (%):',
+                    default: '5',
+                    validate: validatePercentInput
                   }
                 ]);
                 
-                const wallet = walletManager.getWallet(answers.walletName);
+                const wallet = await walletManager.getWallet(answers.walletName);
                 if (!wallet) break;
                 
-                await addLiquidity(wallet, answers.tokenAddress, answers.tokenAmount, answers.monAmount, answers.slippage);
+                await addLiquidity(wallet, answers.tokenAddress, answers.tokenAmount, answers.monAmount, parseBps(answers.slippage));
               } catch (error) {
-                console.error('Error adding liquidity:', error.message);
+                console.error('Error in liquidity operation:', error.message);
               } finally {
                 stopAllSpinners();
               }
@@ -2852,6 +7800,7 @@ program
             }
             
             if (running) {
+              reportDryRun();
               console.log('\n');
               await new Promise(resolve => setTimeout(resolve, 1000));
               stopAllSpinners(); // Ensure all spinners are stopped